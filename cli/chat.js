@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+// Chat with an Ollama model from the terminal, through the same client the
+// app uses.
+//
+//   npm run chat -- -m llama3.2                 interactive chat
+//   npm run chat -- -m llama3.2 "Hi there"      one reply, then exit
+//   git diff | npm run chat -- -m llama3.2 "Review this" -
+//   git diff | npm run chat -- -m llama3.2      the piped text is the prompt
+//
+// Standard input is only read when there is no prompt, or in place of a `-`
+// argument, so a prompt given as arguments never waits on it. The reply goes
+// to stdout, anything else to stderr, so the output can be piped on.
+
+import { parseArgs } from "node:util";
+import { createInterface } from "node:readline/promises";
+
+import { DEFAULT_HOST, createOllamaClient } from "../src/ollamaClient.js";
+import { toErrorInfo } from "../src/errors.js";
+import { formatDuration, tokensPerSecond } from "../src/metrics.js";
+
+const USAGE = `Usage: chat.js [options] [prompt]
+
+Without a prompt, piped input is the prompt, or a chat starts in a
+terminal. A "-" in the prompt is replaced by the piped input.
+
+Options:
+  -m, --model <name>    model to chat with (default: the first installed)
+  -s, --system <text>   system prompt
+      --host <url>      Ollama server (default: $OLLAMA_HOST or ${DEFAULT_HOST})
+  -l, --list            list installed models and exit
+  -v, --verbose         print the model's thinking and timing to stderr
+  -h, --help            show this help
+
+In a chat, /clear forgets the conversation and /exit (or Ctrl+D) quits.
+Ctrl+C stops a reply that is being written.`;
+
+// OLLAMA_HOST is often given without a scheme, e.g. 127.0.0.1:11434
+const normalizeHost = (host) => (/^https?:\/\//.test(host) ? host : `http://${host}`).replace(/\/$/, "");
+
+async function readStdin() {
+  let text = "";
+  for await (const chunk of process.stdin) text += chunk;
+  return text;
+}
+
+// Stream one reply to stdout and return its text
+async function reply(client, model, messages, { signal, verbose }) {
+  let thinking = false;
+  const { content, metrics } = await client.chat(
+    { model, messages },
+    {
+      signal,
+      onEvent: (event) => {
+        if (event.type === "thinking" && verbose) {
+          thinking = true;
+          process.stderr.write(`\x1b[2m${event.text}\x1b[0m`);
+        }
+        if (event.type === "token") {
+          // The answer starts on a line of its own below the thinking
+          if (thinking) process.stderr.write("\n\n");
+          thinking = false;
+          process.stdout.write(event.text);
+        }
+      },
+    },
+  );
+  if (!content.endsWith("\n")) process.stdout.write("\n");
+  if (verbose && metrics) {
+    const speed = tokensPerSecond(metrics.eval_count, metrics.eval_duration);
+    process.stderr.write(
+      `[${metrics.eval_count ?? 0} tokens, ${speed.toFixed(1)} tok/s, ${formatDuration(metrics.total_duration)}]\n`,
+    );
+  }
+  return content;
+}
+
+async function interactive(client, model, system, verbose) {
+  const rl = createInterface({ input: process.stdin, output: process.stderr });
+  const initial = system ? [{ role: "system", content: system }] : [];
+  let messages = [...initial];
+  let controller = null;
+
+  // Ctrl+C stops the reply in progress, or quits at the prompt
+  rl.on("SIGINT", () => {
+    if (controller) controller.abort();
+    else rl.close();
+  });
+
+  process.stderr.write(`Chatting with ${model}. /exit to quit.\n`);
+  while (true) {
+    let input;
+    try {
+      input = (await rl.question("> ")).trim();
+    } catch {
+      break; // Closed with Ctrl+D or Ctrl+C
+    }
+    if (!input) continue;
+    if (input === "/exit") break;
+    if (input === "/clear") {
+      messages = [...initial];
+      process.stderr.write("Conversation cleared.\n");
+      continue;
+    }
+
+    messages.push({ role: "user", content: input });
+    controller = new AbortController();
+    try {
+      const content = await reply(client, model, messages, { signal: controller.signal, verbose });
+      messages.push({ role: "assistant", content });
+    } catch (error) {
+      messages.pop();
+      process.stderr.write(error.name === "AbortError" ? "\n[stopped]\n" : `error: ${toErrorInfo(error).message}\n`);
+    } finally {
+      controller = null;
+    }
+  }
+  rl.close();
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      model: { type: "string", short: "m" },
+      system: { type: "string", short: "s" },
+      host: { type: "string" },
+      list: { type: "boolean", short: "l" },
+      verbose: { type: "boolean", short: "v" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const client = createOllamaClient({
+    host: normalizeHost(values.host ?? process.env.OLLAMA_HOST ?? DEFAULT_HOST),
+  });
+
+  if (values.list) {
+    for (const { name } of await client.listModels()) console.log(name);
+    return;
+  }
+
+  const model = values.model ?? (await client.listModels())[0]?.name;
+  if (!model) throw new Error("No models installed; pull one first or pass --model");
+
+  if (!positionals.length && process.stdin.isTTY) {
+    await interactive(client, model, values.system, values.verbose);
+    return;
+  }
+
+  const readsStdin = !positionals.length || positionals.includes("-");
+  const piped = readsStdin ? (await readStdin()).trim() : "";
+  // The piped input goes in as a paragraph of its own
+  const prompt = positionals.length
+    ? positionals
+        .map((part) => (part === "-" ? `\n\n${piped}\n\n` : part))
+        .join(" ")
+        .replace(/ ?\n\n ?/g, "\n\n")
+        .trim()
+    : piped;
+  if (!prompt) throw new Error("Nothing to send: the piped input was empty");
+
+  const messages = [
+    ...(values.system ? [{ role: "system", content: values.system }] : []),
+    { role: "user", content: prompt },
+  ];
+  const controller = new AbortController();
+  process.on("SIGINT", () => controller.abort());
+  await reply(client, model, messages, { signal: controller.signal, verbose: values.verbose });
+}
+
+main().catch((error) => {
+  if (error.name !== "AbortError") process.stderr.write(`error: ${toErrorInfo(error).message}\n`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+// Checks the headless client and the chat CLI against a stub Ollama server,
+// so they can be exercised without Ollama or any model installed.
+//
+//   npm run check:client
+//
+// The stub answers /api/tags and /api/chat for a few made-up models:
+//   echo      streams back "Echo: <last user message>" in two chunks
+//   thinker   wraps its reasoning in <think> tags before answering
+//   slow      sends one chunk, then never finishes
+// Any other model is "not found".
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+import { createOllamaClient } from "../src/ollamaClient.js";
+import { OllamaError, toErrorInfo } from "../src/errors.js";
+
+const MODELS = ["echo", "thinker", "slow"];
+const CLI = fileURLToPath(new URL("./chat.js", import.meta.url));
+
+const chunk = (content) => `${JSON.stringify({ message: { role: "assistant", content }, done: false })}\n`;
+const doneChunk = `${JSON.stringify({
+  message: { role: "assistant", content: "" },
+  done: true,
+  eval_count: 2,
+  eval_duration: 1e9,
+  total_duration: 2e9,
+})}\n`;
+
+function handleChat({ model, messages }, res) {
+  if (!MODELS.includes(model)) {
+    res.writeHead(404, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ error: `model "${model}" not found, try pulling it first` }));
+    return;
+  }
+  res.writeHead(200, { "Content-Type": "application/x-ndjson" });
+  if (model === "slow") {
+    res.write(chunk("Thinking about it"));
+    return;
+  }
+  const answer = model === "thinker" ? "<think>plan</think>\n\nAnswer" : `Echo: ${messages.at(-1).content}`;
+  const middle = Math.ceil(answer.length / 2);
+  res.write(chunk(answer.slice(0, middle)));
+  res.end(chunk(answer.slice(middle)) + doneChunk);
+}
+
+function startStub() {
+  const server = createServer(async (req, res) => {
+    let body = "";
+    for await (const part of req) body += part;
+    if (req.url === "/api/tags") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ models: MODELS.map((name) => ({ name })) }));
+    } else if (req.url === "/api/chat") {
+      handleChat(JSON.parse(body), res);
+    } else {
+      res.writeHead(404).end();
+    }
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+// Run the CLI; stdin stays open unless `input` is given, like in a script
+// whose caller never closes it. Killed after `timeout` ms.
+function runCli(args, { input, timeout = 5000 } = {}) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [CLI, ...args], { stdio: ["pipe", "pipe", "pipe"] });
+    let stdout = "";
+    let stderr = "";
+    child.stdout.on("data", (data) => (stdout += data));
+    child.stderr.on("data", (data) => (stderr += data));
+    const timer = setTimeout(() => child.kill(), timeout);
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      resolve({ code, signal, stdout, stderr });
+    });
+    if (input !== undefined) child.stdin.end(input);
+  });
+}
+
+const server = await startStub();
+const host = `http://127.0.0.1:${server.address().port}`;
+const client = createOllamaClient({ host });
+test.after(() => server.close());
+
+test("lists models", async () => {
+  assert.deepEqual((await client.listModels()).map((m) => m.name), MODELS);
+});
+
+test("streams typed events in order", async () => {
+  const events = [];
+  const result = await client.chat(
+    { model: "echo", messages: [{ role: "user", content: "hi" }] },
+    { onEvent: (event) => events.push(event.type) },
+  );
+  assert.equal(result.content, "Echo: hi");
+  assert.equal(result.metrics.eval_count, 2);
+  assert.deepEqual(events, ["token", "token", "metrics", "done"]);
+});
+
+test("splits <think> reasoning off the answer", async () => {
+  const thinking = [];
+  const result = await client.chat(
+    { model: "thinker", messages: [{ role: "user", content: "?" }] },
+    { onEvent: (event) => event.type === "thinking" && thinking.push(event.text) },
+  );
+  assert.equal(thinking.join(""), "plan");
+  assert.equal(result.content, "Answer");
+});
+
+test("reports a missing model with the model's name", async () => {
+  const events = [];
+  await assert.rejects(
+    client.chat({ model: "nope", messages: [] }, { onEvent: (event) => events.push(event.type) }),
+    (error) => error instanceof OllamaError && error.kind === "model_not_found" && error.model === "nope",
+  );
+  assert.deepEqual(events, ["error"]);
+});
+
+test("aborts without an error event", async () => {
+  const controller = new AbortController();
+  const events = [];
+  await assert.rejects(
+    client.chat(
+      { model: "slow", messages: [] },
+      {
+        signal: controller.signal,
+        onEvent: (event) => {
+          events.push(event.type);
+          if (event.type === "token") controller.abort();
+        },
+      },
+    ),
+    { name: "AbortError" },
+  );
+  assert.deepEqual(events, ["token"]);
+});
+
+test("reports an unreachable server as a connection error", async () => {
+  const closed = createServer();
+  await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+  const { port } = closed.address();
+  await new Promise((resolve) => closed.close(resolve));
+  await assert.rejects(createOllamaClient({ host: `http://127.0.0.1:${port}` }).listModels(), (error) =>
+    toErrorInfo(error).kind === "connection",
+  );
+});
+
+test("a bug in an event handler is not a connection error", async () => {
+  await assert.rejects(
+    client.chat(
+      { model: "echo", messages: [{ role: "user", content: "hi" }] },
+      { onEvent: (event) => event.type === "token" && event.missing.property },
+    ),
+    (error) => error instanceof TypeError && toErrorInfo(error).kind === "unknown",
+  );
+});
+
+test("CLI answers a prompt argument without waiting on stdin", async () => {
+  const { code, stdout } = await runCli(["--host", host, "-m", "echo", "hi"]);
+  assert.equal(code, 0);
+  assert.equal(stdout, "Echo: hi\n");
+});
+
+test("CLI puts piped input in place of -", async () => {
+  const { code, stdout } = await runCli(["--host", host, "-m", "echo", "Review", "this", "-"], { input: "diff\n" });
+  assert.equal(code, 0);
+  assert.equal(stdout, "Echo: Review this\n\ndiff\n");
+});
+
+test("CLI uses piped input as the prompt when there is none", async () => {
+  const { code, stdout } = await runCli(["--host", host, "-m", "echo"], { input: "from a pipe\n" });
+  assert.equal(code, 0);
+  assert.equal(stdout, "Echo: from a pipe\n");
+});
+
+test("CLI fails on a missing model", async () => {
+  const { code, stderr } = await runCli(["--host", host, "-m", "nope", "hi"]);
+  assert.equal(code, 1);
+  assert.match(stderr, /not found/);
+});
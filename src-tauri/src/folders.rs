@@ -0,0 +1,146 @@
+// Folders the file tools may read from. The list lives here rather than in
+// the webview: a folder is only added when the user picks it in a native
+// dialog, and every read is checked against the list, so no frontend caller
+// can widen its own access. It is saved in the app's config directory.
+
+use std::fs;
+use std::path::{Path, PathBuf};
+use std::sync::Mutex;
+
+use tauri::{AppHandle, Manager, State};
+use tauri_plugin_dialog::DialogExt;
+
+// Largest file the read_file tool will return
+const MAX_TOOL_FILE_BYTES: u64 = 1024 * 1024;
+
+const FOLDERS_FILE: &str = "approved_folders.json";
+
+pub struct ApprovedFolders {
+    folders: Mutex<Vec<PathBuf>>,
+}
+
+fn folders_file(app: &AppHandle) -> Result<PathBuf, String> {
+    let dir = app.path().app_config_dir().map_err(|e| e.to_string())?;
+    Ok(dir.join(FOLDERS_FILE))
+}
+
+impl ApprovedFolders {
+    // The saved list; a missing or unreadable file means none are approved
+    pub fn load(app: &AppHandle) -> Self {
+        let folders = folders_file(app)
+            .ok()
+            .and_then(|file| fs::read_to_string(file).ok())
+            .and_then(|text| serde_json::from_str(&text).ok())
+            .unwrap_or_default();
+        Self { folders: Mutex::new(folders) }
+    }
+
+    fn save(app: &AppHandle, folders: &[PathBuf]) -> Result<(), String> {
+        let file = folders_file(app)?;
+        if let Some(dir) = file.parent() {
+            fs::create_dir_all(dir).map_err(|e| e.to_string())?;
+        }
+        let text = serde_json::to_string_pretty(folders).map_err(|e| e.to_string())?;
+        fs::write(file, text).map_err(|e| e.to_string())
+    }
+
+    fn list(&self) -> Result<Vec<PathBuf>, String> {
+        Ok(self.folders.lock().map_err(|e| e.to_string())?.clone())
+    }
+}
+
+fn to_strings(folders: &[PathBuf]) -> Vec<String> {
+    folders.iter().map(|folder| folder.to_string_lossy().into_owned()).collect()
+}
+
+// Resolve `path` (relative to an approved folder, or absolute) to a file or
+// directory inside one of them. Everything is canonicalized first, so `..`
+// and symlinks leading outside are refused.
+fn resolve_approved(folders: &State<ApprovedFolders>, path: &str) -> Result<PathBuf, String> {
+    let roots = folders.list()?;
+    if roots.is_empty() {
+        return Err("No folders have been approved for file access".into());
+    }
+
+    let mut last_error = None;
+    for root in &roots {
+        match fs::canonicalize(root.join(Path::new(path))) {
+            Ok(target) if roots.iter().any(|root| target.starts_with(root)) => return Ok(target),
+            Ok(_) => last_error = Some(format!("{} is outside of the approved folders", path)),
+            Err(e) => last_error = Some(format!("{}: {}", path, e)),
+        }
+    }
+    Err(last_error.unwrap_or_default())
+}
+
+#[tauri::command]
+pub fn approved_folders(folders: State<ApprovedFolders>) -> Result<Vec<String>, String> {
+    Ok(to_strings(&folders.list()?))
+}
+
+// Ask the user for a folder to approve; the updated list, unchanged when
+// the dialog is cancelled
+#[tauri::command]
+pub async fn pick_approved_folder(
+    app: AppHandle,
+    folders: State<'_, ApprovedFolders>,
+) -> Result<Vec<String>, String> {
+    let picked = app
+        .dialog()
+        .file()
+        .set_title("Approve a folder for the file tools")
+        .blocking_pick_folder();
+    let Some(picked) = picked else {
+        return approved_folders(folders);
+    };
+    let folder = picked.into_path().map_err(|e| e.to_string())?;
+    let folder = fs::canonicalize(folder).map_err(|e| e.to_string())?;
+
+    let mut guard = folders.folders.lock().map_err(|e| e.to_string())?;
+    if !guard.contains(&folder) {
+        guard.push(folder);
+        ApprovedFolders::save(&app, &guard)?;
+    }
+    Ok(to_strings(&guard))
+}
+
+// Withdrawing access needs no confirmation, so the webview may do it directly
+#[tauri::command]
+pub fn revoke_approved_folder(
+    app: AppHandle,
+    folders: State<ApprovedFolders>,
+    folder: &str,
+) -> Result<Vec<String>, String> {
+    let mut guard = folders.folders.lock().map_err(|e| e.to_string())?;
+    guard.retain(|approved| approved != Path::new(folder));
+    ApprovedFolders::save(&app, &guard)?;
+    Ok(to_strings(&guard))
+}
+
+#[tauri::command]
+pub fn read_approved_file(folders: State<ApprovedFolders>, path: &str) -> Result<String, String> {
+    let target = resolve_approved(&folders, path)?;
+    let size = fs::metadata(&target).map_err(|e| e.to_string())?.len();
+    if size > MAX_TOOL_FILE_BYTES {
+        return Err(format!("{} is too large ({} bytes)", path, size));
+    }
+    fs::read_to_string(&target).map_err(|e| format!("{}: {}", path, e))
+}
+
+#[tauri::command]
+pub fn list_approved_dir(folders: State<ApprovedFolders>, path: &str) -> Result<Vec<String>, String> {
+    let target = resolve_approved(&folders, path)?;
+    let mut entries = fs::read_dir(&target)
+        .map_err(|e| format!("{}: {}", path, e))?
+        .filter_map(|entry| entry.ok())
+        .map(|entry| {
+            let name = entry.file_name().to_string_lossy().into_owned();
+            match entry.file_type() {
+                Ok(kind) if kind.is_dir() => format!("{}/", name),
+                _ => name,
+            }
+        })
+        .collect::<Vec<_>>();
+    entries.sort();
+    Ok(entries)
+}
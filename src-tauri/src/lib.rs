@@ -1,4 +1,7 @@
-use std::process::Command;
+mod folders;
+mod ollama;
+
+use tauri::Manager;
 
 // Learn more about Tauri commands at https://tauri.app/develop/calling-rust/
 #[tauri::command]
@@ -6,20 +9,32 @@ fn greet(name: &str) -> String {
     format!("Hello, {}! You've been greeted from Rust!", name)
 }
 
-#[tauri::command]
-fn start_ollama() -> String {
-    Command::new("ollama")
-        .args(["serve"])
-        .output()
-        .expect("failed to execute process");
-    format!("started ollama successfully")
-}
-
 #[cfg_attr(mobile, tauri::mobile_entry_point)]
 pub fn run() {
     tauri::Builder::default()
         .plugin(tauri_plugin_opener::init())
-        .invoke_handler(tauri::generate_handler![greet, start_ollama])
-        .run(tauri::generate_context!())
-        .expect("error while running tauri application");
+        .plugin(tauri_plugin_dialog::init())
+        .manage(ollama::OllamaServer::default())
+        .setup(|app| {
+            app.manage(folders::ApprovedFolders::load(app.handle()));
+            Ok(())
+        })
+        .invoke_handler(tauri::generate_handler![
+            greet,
+            ollama::start_ollama,
+            ollama::stop_ollama,
+            ollama::ollama_managed,
+            folders::approved_folders,
+            folders::pick_approved_folder,
+            folders::revoke_approved_folder,
+            folders::read_approved_file,
+            folders::list_approved_dir
+        ])
+        .build(tauri::generate_context!())
+        .expect("error while building tauri application")
+        .run(|app, event| {
+            if let tauri::RunEvent::Exit = event {
+                ollama::shutdown(app);
+            }
+        });
 }
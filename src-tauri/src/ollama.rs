@@ -0,0 +1,126 @@
+// Supervision of an `ollama serve` process started from the app: start
+// without blocking, stop, and forward its output and exit to the frontend
+// as `ollama-log` and `ollama-exit` events.
+
+use std::io::{BufRead, BufReader, Read};
+use std::process::{Child, Command, Stdio};
+use std::sync::atomic::{AtomicU64, Ordering};
+use std::sync::{Arc, Mutex};
+use std::thread;
+use std::time::Duration;
+
+use serde::Serialize;
+use tauri::{AppHandle, Emitter, Manager, State};
+
+// Each start gets a new id, so a watcher never reports on a later process
+static NEXT_ID: AtomicU64 = AtomicU64::new(1);
+
+struct Running {
+    id: u64,
+    child: Child,
+}
+
+#[derive(Default)]
+pub struct OllamaServer {
+    process: Arc<Mutex<Option<Running>>>,
+}
+
+#[derive(Clone, Serialize)]
+struct LogLine {
+    stream: &'static str,
+    line: String,
+}
+
+#[derive(Clone, Serialize)]
+struct Exit {
+    code: Option<i32>,
+    // Whether stop_ollama ended it, as opposed to a crash
+    requested: bool,
+}
+
+fn forward_lines<R: Read + Send + 'static>(app: AppHandle, reader: R, stream: &'static str) {
+    thread::spawn(move || {
+        for line in BufReader::new(reader).lines().map_while(Result::ok) {
+            let _ = app.emit("ollama-log", LogLine { stream, line });
+        }
+    });
+}
+
+// Report the process ending on its own; stop_ollama reports its own stops
+fn watch_exit(app: AppHandle, slot: Arc<Mutex<Option<Running>>>, id: u64) {
+    thread::spawn(move || loop {
+        thread::sleep(Duration::from_millis(500));
+        let Ok(mut guard) = slot.lock() else { return };
+        let Some(running) = guard.as_mut().filter(|running| running.id == id) else {
+            return;
+        };
+        match running.child.try_wait() {
+            Ok(None) => continue,
+            Ok(Some(status)) => {
+                *guard = None;
+                let _ = app.emit("ollama-exit", Exit { code: status.code(), requested: false });
+                return;
+            }
+            Err(_) => return,
+        }
+    });
+}
+
+#[tauri::command]
+pub fn start_ollama(app: AppHandle, server: State<OllamaServer>) -> Result<(), String> {
+    let mut guard = server.process.lock().map_err(|e| e.to_string())?;
+    if let Some(running) = guard.as_mut() {
+        if matches!(running.child.try_wait(), Ok(None)) {
+            return Err("Ollama is already running".into());
+        }
+    }
+
+    let mut child = Command::new("ollama")
+        .arg("serve")
+        .stdout(Stdio::piped())
+        .stderr(Stdio::piped())
+        .spawn()
+        .map_err(|e| format!("Could not start ollama: {}", e))?;
+    if let Some(stdout) = child.stdout.take() {
+        forward_lines(app.clone(), stdout, "stdout");
+    }
+    if let Some(stderr) = child.stderr.take() {
+        forward_lines(app.clone(), stderr, "stderr");
+    }
+
+    let id = NEXT_ID.fetch_add(1, Ordering::Relaxed);
+    *guard = Some(Running { id, child });
+    watch_exit(app, Arc::clone(&server.process), id);
+    Ok(())
+}
+
+#[tauri::command]
+pub fn stop_ollama(app: AppHandle, server: State<OllamaServer>) -> Result<(), String> {
+    let running = server.process.lock().map_err(|e| e.to_string())?.take();
+    let Some(mut running) = running else {
+        return Err("Ollama was not started by this app, stop it where it was started".into());
+    };
+    running.child.kill().map_err(|e| e.to_string())?;
+    let status = running.child.wait().map_err(|e| e.to_string())?;
+    let _ = app.emit("ollama-exit", Exit { code: status.code(), requested: true });
+    Ok(())
+}
+
+// Whether the app is running an `ollama serve` of its own
+#[tauri::command]
+pub fn ollama_managed(server: State<OllamaServer>) -> bool {
+    server
+        .process
+        .lock()
+        .map(|mut guard| matches!(guard.as_mut().map(|r| r.child.try_wait()), Some(Ok(None))))
+        .unwrap_or(false)
+}
+
+// A server the app started doesn't outlive it
+pub fn shutdown(app: &AppHandle) {
+    let running = app.state::<OllamaServer>().process.lock().ok().and_then(|mut guard| guard.take());
+    if let Some(mut running) = running {
+        let _ = running.child.kill();
+        let _ = running.child.wait();
+    }
+}
@@ -1,184 +1,697 @@
-import React, {useState, useEffect, useRef, useCallback} from 'react';
-import { FaPaperPlane } from 'react-icons/fa';
-import { Link, Route, Switch, useLocation } from "wouter";
+import React, {useState, useEffect, useRef, useCallback, useMemo} from 'react';
+import { FaPaperPlane, FaStop, FaRedo, FaEdit, FaCodeBranch, FaChevronLeft, FaChevronRight, FaSlidersH, FaPaperclip, FaTimes, FaThumbtack } from 'react-icons/fa';
+import { Link, Route, Switch, useLocation, useSearch } from "wouter";
 import Select from 'react-select'
 import Markdown from 'react-markdown'
 import rehypeHighlight from 'rehype-highlight'
-import { invoke } from '@tauri-apps/api/core';
 import './hljs.css'
 
 import {useChatStore} from './store'
+import {useStreamStore} from './streamStore'
+import {superviseServer} from './ollamaServer'
+import {getThread} from './messageTree'
+import {formatDuration, summarizeByModel, tokensPerSecond} from './metrics'
+import {imageSrc, isImageFile, readImageFiles} from './attachments'
+import {estimateTextTokens, getContextLimit, getTrainedContextLength, sumTokens} from './context'
 import BackgroundGradientAnimation from './components/BackgroundGradientAnimation'
+import ChatSettingsDrawer from './components/ChatSettingsDrawer'
+import ModelManager from './components/ModelManager'
+import History from './components/History'
+import ExportMenu from './components/ExportMenu'
+import BackupSettings from './components/BackupSettings'
+import ToolCalls from './components/ToolCalls'
+import FolderAccessSettings from './components/FolderAccessSettings'
+import StructuredReply from './components/StructuredReply'
+import PromptMenu from './components/PromptMenu'
+import PromptVariablesForm from './components/PromptVariablesForm'
+import PromptLibrary from './components/PromptLibrary'
+import KeyboardShortcuts from './components/KeyboardShortcuts'
+import ShortcutSettings from './components/ShortcutSettings'
+import Arena from './components/Arena'
+import ChatDocuments from './components/ChatDocuments'
+import SourceList from './components/SourceList'
+import ServerStatusBadge from './components/ServerStatusBadge'
+import ServerControls from './components/ServerControls'
+import RunningModels from './components/RunningModels'
+import ErrorNotice from './components/ErrorNotice'
+import ChatList from './components/ChatList'
+import ThinkingBlock from './components/ThinkingBlock'
+import {DOCUMENT_ACCEPT, isDocumentFile} from './documents'
+import {matchPrompts, templateVariables} from './prompts'
 import './App.css';
 
 const Chat = ({ params }) => {
   const { id } = params;
-  const { chats, sendMessage, tokenSpeed } = useChatStore();
+  // Narrow selectors: this only re-renders when this chat changes
+  const chat = useChatStore(state => state.chats.find(c => c.id === id));
+  const hydrated = useChatStore(state => state.hydrated);
+  const sendMessage = useChatStore(state => state.sendMessage);
+  const stopGeneration = useChatStore(state => state.stopGeneration);
+  const loadModelInfo = useChatStore(state => state.loadModelInfo);
+  const revealMessage = useChatStore(state => state.revealMessage);
+  const attachDocuments = useChatStore(state => state.attachDocuments);
+  const info = useChatStore(state => chat ? state.modelInfo[chat.model] : null);
+  const prompts = useChatStore(state => state.prompts);
+  const tokenSpeed = useStreamStore(state => state.tokenSpeed);
   const [input, setInput] = useState('');
+  const [images, setImages] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
   const [isSending, setIsSending] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  // Slash-command menu: highlighted entry, whether Escape closed it, and the
+  // picked prompt waiting for its variables
+  const [promptIndex, setPromptIndex] = useState(0);
+  const [promptMenuClosed, setPromptMenuClosed] = useState(false);
+  const [pendingPrompt, setPendingPrompt] = useState(null);
+  const [_, navigate] = useLocation();
+  const searchParams = new URLSearchParams(useSearch());
+  // Message to scroll to, e.g. when opened from a History search result
+  const targetMessageId = searchParams.get('message');
+  // Library prompt to start, when picked in the command palette
+  const promptParam = searchParams.get('prompt');
   const messagesEndRef = useRef(null);
   const formRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  const thread = useMemo(() => (chat ? getThread(chat) : []), [chat]);
+  // Regenerations and edits start from the messages, not the composer
+  const isGenerating = isSending || !!chat?.messages.some(m => m.isStreaming);
+  // Outside of a generation show the measured speed of the latest reply
+  const lastMetrics = thread.findLast(({ msg }) => msg.metrics)?.msg.metrics;
+  const displaySpeed = isGenerating
+    ? tokenSpeed
+    : Math.round(tokensPerSecond(lastMetrics?.eval_count, lastMetrics?.eval_duration));
+
+  const slashQuery = input.match(/^\/(\S*)$/)?.[1];
+  const promptMatches = useMemo(
+    () => (slashQuery === undefined ? [] : matchPrompts(prompts, slashQuery)),
+    [prompts, slashQuery],
+  );
+  const showPromptMenu = promptMatches.length > 0 && !promptMenuClosed && !isGenerating;
+
+  // Older Ollama versions don't report capabilities, so only warn when they do
+  const capabilities = info?.capabilities;
+  const lacksVision = images.length > 0 && capabilities && !capabilities.includes('vision');
 
-  // Memoize chat finding to prevent unnecessary recalculations
-  const chat = chats.find(c => c.id === id);
+  useEffect(() => {
+    if (chat?.model) loadModelInfo(chat.model).catch(() => {});
+  }, [chat?.model, loadModelInfo]);
+
+  // Warm up the model so the first reply doesn't wait for it to load
+  useEffect(() => {
+    const { chats, preloadOnOpen, loadModel } = useChatStore.getState();
+    const opened = chats.find(c => c.id === id);
+    if (preloadOnOpen && opened) loadModel(opened.model, opened.keepAlive).catch(() => {});
+  }, [id, hydrated]);
+
+  // Switch to the branch holding the target message and bring it into view
+  useEffect(() => {
+    if (!targetMessageId || !hydrated) return;
+    revealMessage(id, targetMessageId);
+    requestAnimationFrame(() => {
+      document.getElementById(`message-${targetMessageId}`)?.scrollIntoView({ block: 'center' });
+    });
+  }, [id, targetMessageId, hydrated, revealMessage]);
+
+  // Images go with the next message; documents are indexed for the chat
+  const addFiles = useCallback(async (files) => {
+    const documents = [...files].filter(file => !isImageFile(file) && isDocumentFile(file));
+    if (documents.length) attachDocuments(id, documents);
+    const read = await readImageFiles(files);
+    if (read.length) setImages(prev => [...prev, ...read]);
+  }, [id, attachDocuments]);
+
+  const handlePaste = useCallback((e) => {
+    if ([...e.clipboardData.files].some(isImageFile)) {
+      e.preventDefault();
+      addFiles(e.clipboardData.files);
+    }
+  }, [addFiles]);
+
+  const handleDrop = useCallback((e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    addFiles(e.dataTransfer.files);
+  }, [addFiles]);
 
   // Optimized input handler
   const handleInputChange = useCallback((e) => {
     setInput(e.target.value);
+    setPromptIndex(0);
+    setPromptMenuClosed(false);
   }, []);
 
-  // Optimized message submission
-  const handleSendMessage = useCallback(async (e) => {
-    e.preventDefault();
-    if (!input.trim() || !chat || isSending) return;
-    
+  // Send `text` with the attached images, `overrides` coming from a prompt
+  const send = useCallback(async (text, overrides) => {
+    if ((!text.trim() && !images.length) || !chat || isGenerating) return;
+
     setIsSending(true);
     try {
-      await sendMessage(chat.id, input.trim());
+      const pending = images;
+      setImages([]);
+      await sendMessage(chat.id, text.trim(), pending, overrides);
       setInput('');
       // Focus input after sending
-      formRef.current?.querySelector('input')?.focus();
+      formRef.current?.querySelector('input[type="text"]')?.focus();
     } finally {
       setIsSending(false);
     }
     // messagesEndRef.current.scrollIntoView({behavior: "smooth", block: "end"})
-  }, [input, chat, isSending, sendMessage]);
+  }, [images, chat, isGenerating, sendMessage]);
+
+  // Optimized message submission
+  const handleSendMessage = useCallback((e) => {
+    e.preventDefault();
+    send(input);
+  }, [input, send]);
+
+  // The variables form stays open until the prompt can actually go out
+  const sendPrompt = useCallback((prompt, text) => {
+    if (isGenerating) return;
+    setPendingPrompt(null);
+    send(text, { model: prompt.model, options: prompt.options });
+  }, [send, isGenerating]);
+
+  // A prompt without variables goes straight out; otherwise ask for them
+  const pickPrompt = useCallback((prompt) => {
+    setInput('');
+    if (templateVariables(prompt.template).length) setPendingPrompt(prompt);
+    else sendPrompt(prompt, prompt.template);
+  }, [sendPrompt]);
+
+  useEffect(() => {
+    if (!promptParam || !hydrated) return;
+    const prompt = prompts.find(p => p.id === promptParam);
+    navigate(`/chat/${id}`, { replace: true });
+    if (prompt) pickPrompt(prompt);
+  }, [id, promptParam, hydrated, prompts, pickPrompt, navigate]);
+
+  const handleInputKeyDown = useCallback((e) => {
+    if (!showPromptMenu) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setPromptIndex((promptIndex + step + promptMatches.length) % promptMatches.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      pickPrompt(promptMatches[promptIndex] ?? promptMatches[0]);
+    } else if (e.key === 'Escape') {
+      setPromptMenuClosed(true);
+    }
+  }, [showPromptMenu, promptMatches, promptIndex, pickPrompt]);
+
+  const handleStop = useCallback(() => {
+    if (chat) stopGeneration(chat.id);
+  }, [chat, stopGeneration]);
 
   if (!chat) return (
     <div className="w-full h-full flex items-center justify-center text-white">
-      Chat not found
+      {hydrated ? 'Chat not found' : 'Loading...'}
     </div>
   );
 
   return (
-    <div className="flex flex-col h-full w-full p-4">
-      <div className="flex flex-col flex-1 overflow-y-auto bg-zinc-900/40 rounded-xl">
+    <div
+      className="flex flex-col h-full w-full p-4"
+      onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+      onDragLeave={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setIsDragging(false); }}
+      onDrop={handleDrop}
+    >
+      <div className="relative flex flex-col flex-1 overflow-y-auto bg-zinc-900/40 rounded-xl">
+        {isDragging && (
+          <div className="absolute inset-0 z-20 flex items-center justify-center rounded-xl border-2 border-dashed border-blue-300/70 bg-zinc-900/70 text-white text-lg pointer-events-none">
+            Drop images or documents to attach
+          </div>
+        )}
         <div className="top-0 relative h-10 flex flex-row items-center justify-center border-white/30 border-b-2 w-full px-4 text-gray-200 text-xl font-bold backdrop-blur-2xl">
           <div className="left-0 absolute flex items-center">
             <span className="text-xs px-4 h-full bg-zinc-700/40">
-              Token Speed: <b>{tokenSpeed || 0}/s</b>
+              Token Speed: <b>{displaySpeed || 0}/s</b>
             </span>            
+            <ContextMeter chat={chat} thread={thread} info={info} />
           </div>
           {chat.title}
           <div className="right-0 absolute flex items-center">
-            <span className="text-xs px-4 h-full bg-zinc-700/40 py-2">
-              {chat.model}
-            </span>            
+            <ModelSwitcher chat={chat} disabled={isGenerating} />
+            <ExportMenu
+              chats={[chat]}
+              className="px-3 py-2 text-sm text-gray-300 hover:text-white transition duration-200"
+            />
+            <button
+              onClick={() => setShowSettings(!showSettings)}
+              title="Chat settings"
+              className="px-3 py-2 text-sm text-gray-300 hover:text-white transition duration-200"
+            >
+              <FaSlidersH />
+            </button>
           </div>
         </div>
+
+        {showSettings && (
+          <ChatSettingsDrawer
+            key={chat.id}
+            chat={chat}
+            onClose={() => setShowSettings(false)}
+          />
+        )}
         
         <div className="flex flex-col overflow-y-scroll h-full px-2">
-          {chat.messages.map((msg, index) => (
+          {thread.map(({ msg, branchIndex, branchCount, prevId, nextId }) => (
             <MemoizedMessage 
-              key={`${msg.timestamp}-${index}`}
+              key={msg.id}
+              chatId={chat.id}
               msg={msg}
               isStreaming={msg.isStreaming}
+              busy={isGenerating}
+              branchIndex={branchIndex}
+              branchCount={branchCount}
+              prevId={prevId}
+              nextId={nextId}
+              highlighted={msg.id === targetMessageId}
             />
           ))}
           <div className="relative" ref={messagesEndRef} />
         </div>
       </div>
 
+      {images.length > 0 && (
+        <div className="mt-4 flex flex-col rounded-lg bg-gray-900/70 backdrop-blur-2xl p-2">
+          {lacksVision && (
+            <div className="mb-2 text-sm text-yellow-200">
+              ⚠️ {chat.model} does not list vision support; the images may be ignored.
+            </div>
+          )}
+          <div className="flex flex-wrap gap-2">
+            {images.map((image, index) => (
+              <div key={index} className="relative">
+                <img src={imageSrc(image)} alt={image.name} className="h-16 w-16 object-cover rounded" />
+                <button
+                  type="button"
+                  onClick={() => setImages(images.filter((_, i) => i !== index))}
+                  className="absolute -top-1 -right-1 rounded-full bg-zinc-800 p-1 text-xs text-white"
+                >
+                  <FaTimes />
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <ChatDocuments chat={chat} />
+
+      {pendingPrompt && (
+        <PromptVariablesForm
+          key={pendingPrompt.id}
+          prompt={pendingPrompt}
+          onSubmit={(text) => sendPrompt(pendingPrompt, text)}
+          onCancel={() => setPendingPrompt(null)}
+          busy={isGenerating}
+        />
+      )}
+
       <form 
         ref={formRef}
         onSubmit={handleSendMessage}
-        className="flex flex-row my-4 rounded-lg bg-gray-900/70 backdrop-blur-2xl"
+        className="relative flex flex-row my-4 rounded-lg bg-gray-900/70 backdrop-blur-2xl"
       >
+        {showPromptMenu && (
+          <PromptMenu
+            prompts={promptMatches}
+            selected={promptIndex}
+            onPick={pickPrompt}
+            onHover={setPromptIndex}
+          />
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={`image/*,${DOCUMENT_ACCEPT}`}
+          multiple
+          hidden
+          onChange={(e) => { addFiles(e.target.files); e.target.value = ''; }}
+        />
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isGenerating}
+          title="Attach images or documents"
+          className="pl-4 text-gray-300 hover:text-white disabled:opacity-50"
+        >
+          <FaPaperclip />
+        </button>
         <input
           type="text"
           value={input}
           onChange={handleInputChange}
-          placeholder={isSending ? "Wait..." : "Type your message..."}
-          disabled={isSending}
+          id="composer"
+          onKeyDown={handleInputKeyDown}
+          onPaste={handlePaste}
+          placeholder={isGenerating ? "Wait..." : "Type your message, or / for saved prompts..."}
+          disabled={isGenerating}
           className="flex-1 p-4 transition duration-300 outline-none text-white bg-transparent disabled:opacity-50"
           autoFocus
         />
-        <button 
-          type="submit" 
-          disabled={isSending}
-          className="ml-2 px-5 rounded-lg transition duration-200 disabled:opacity-50"
-        >
-          <FaPaperPlane className="text-white text-xl" />
-        </button>
+        {isGenerating ? (
+          <button
+            type="button"
+            onClick={handleStop}
+            title="Stop generating"
+            className="ml-2 px-5 rounded-lg transition duration-200 hover:bg-red-500/30"
+          >
+            <FaStop className="text-red-300 text-xl" />
+          </button>
+        ) : (
+          <button 
+            type="submit" 
+            className="ml-2 px-5 rounded-lg transition duration-200 disabled:opacity-50"
+          >
+            <FaPaperPlane className="text-white text-xl" />
+          </button>
+        )}
       </form>
     </div>
   );
 };
 
 // Memoized message component to prevent unnecessary re-renders
-const MemoizedMessage = React.memo(({ msg, isStreaming }) => {
+const MemoizedMessage = React.memo(({ chatId, msg, isStreaming, busy, branchIndex, branchCount, prevId, nextId, highlighted }) => {
+  const regenerateMessage = useChatStore(state => state.regenerateMessage);
+  const editMessage = useChatStore(state => state.editMessage);
+  const switchBranch = useChatStore(state => state.switchBranch);
+  const forkChat = useChatStore(state => state.forkChat);
+  const togglePin = useChatStore(state => state.togglePin);
+  const [_, navigate] = useLocation();
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(msg.text);
+  // While streaming, the text lives in the stream buffer rather than the chat
+  const streamedText = useStreamStore(state => isStreaming ? state.texts[msg.id] : undefined);
+  const text = streamedText ?? msg.text;
+
+  const handleEditSubmit = (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+    setIsEditing(false);
+    editMessage(chatId, msg.id, draft.trim());
+  };
+
+  const handleFork = () => {
+    navigate(`/chat/${forkChat(chatId, msg.id)}`);
+  };
+
+  if (isEditing) return (
+    <form
+      onSubmit={handleEditSubmit}
+      className="my-2 p-3 rounded-xl backdrop-blur-2xl bg-blue-300/20 ml-auto self-end w-2/3 flex flex-col"
+    >
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        className="w-full p-2 rounded-lg bg-zinc-800/60 outline-none text-white resize-y"
+        rows={3}
+        autoFocus
+      />
+      <div className="mt-2 flex justify-end space-x-2 text-sm">
+        <button
+          type="button"
+          onClick={() => { setIsEditing(false); setDraft(msg.text); }}
+          className="px-3 py-1 rounded text-white hover:bg-zinc-700/60 transition duration-200"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="px-3 py-1 rounded bg-blue-500/60 hover:bg-blue-600/60 text-white transition duration-200"
+        >
+          Send
+        </button>
+      </div>
+    </form>
+  );
+
   return (
-    <div className={`my-2 p-3 rounded-xl backdrop-blur-2xl ${
-      msg.sender === 'user' 
-        ? 'bg-blue-300/20 ml-auto text-white self-end' 
-        : 'bg-gray-700/40 text-white self-start'
-    } ${isStreaming ? 'animate-pulse' : ''}`}
+    <div
+      id={`message-${msg.id}`}
+      className={`group my-2 p-3 rounded-xl backdrop-blur-2xl ${
+        msg.sender === 'user' 
+          ? 'bg-blue-300/20 ml-auto text-white self-end' 
+          : 'bg-gray-700/40 text-white self-start'
+      } ${isStreaming ? 'animate-pulse' : ''} ${highlighted ? 'ring-2 ring-yellow-300/70' : ''}`}
     >
-      {msg.sender === 'ai' && msg.text.startsWith('Error: ') ? (
-        <div className="text-red-300">
-          ⚠️ {msg.text}
+      {msg.images?.length > 0 && (
+        <div className="mb-2 flex flex-wrap gap-2">
+          {msg.images.map((image, index) => (
+            <img
+              key={index}
+              src={imageSrc(image)}
+              alt={image.name}
+              className="max-h-48 max-w-xs rounded-lg object-contain"
+            />
+          ))}
         </div>
+      )}
+      {msg.sender === 'ai' && msg.model && (
+        <div className="mb-1 text-xs text-gray-400">{msg.model}</div>
+      )}
+      {msg.sender === 'ai' && <ThinkingBlock msg={msg} isStreaming={isStreaming} />}
+      {msg.toolRounds?.length > 0 && <ToolCalls rounds={msg.toolRounds} />}
+      {msg.formatErrors && !isStreaming ? (
+        <StructuredReply chatId={chatId} msg={msg} busy={busy} />
       ) : (
         <Markdown 
           rehypePlugins={[rehypeHighlight]}
         >
-          {msg.text}
+          {text}
         </Markdown>
       )}
       {isStreaming && <span className="ml-2">...</span>}
+      {msg.error && (
+        <ErrorNotice
+          error={msg.error}
+          model={msg.model}
+          onRetry={() => regenerateMessage(chatId, msg.id)}
+          busy={busy}
+        />
+      )}
+      {msg.summaryError && !isStreaming && (
+        <div className="mt-1 text-xs text-yellow-200" title={msg.summaryError.body ?? undefined}>
+          Couldn't summarize earlier messages ({msg.summaryError.message}), so the oldest ones were left out
+        </div>
+      )}
+      {msg.stopped && (
+        <div className="mt-1 text-xs text-gray-400 italic">Stopped</div>
+      )}
+      {msg.sources?.length > 0 && !isStreaming && <SourceList sources={msg.sources} />}
+      {msg.metrics && !isStreaming && <MessageStats metrics={msg.metrics} />}
+      {!isStreaming && (
+        <div className="mt-1 flex items-center space-x-2 text-xs text-gray-300">
+          {branchCount > 1 && (
+            <span className="flex items-center">
+              <button
+                onClick={() => switchBranch(chatId, prevId)}
+                disabled={!prevId || busy}
+                className="px-1 disabled:opacity-30"
+              >
+                <FaChevronLeft />
+              </button>
+              {branchIndex + 1}/{branchCount}
+              <button
+                onClick={() => switchBranch(chatId, nextId)}
+                disabled={!nextId || busy}
+                className="px-1 disabled:opacity-30"
+              >
+                <FaChevronRight />
+              </button>
+            </span>
+          )}
+          {msg.pinned && <FaThumbtack title="Pinned: always kept in context" className="text-yellow-200" />}
+          <span className="invisible group-hover:visible flex items-center space-x-2">
+            <button
+              onClick={() => togglePin(chatId, msg.id)}
+              title={msg.pinned ? "Unpin" : "Pin to keep in context"}
+              className="hover:text-white"
+            >
+              <FaThumbtack />
+            </button>
+            {msg.sender === 'ai' ? (
+              <button
+                onClick={() => regenerateMessage(chatId, msg.id)}
+                disabled={busy}
+                title="Regenerate"
+                className="hover:text-white disabled:opacity-30"
+              >
+                <FaRedo />
+              </button>
+            ) : (
+              <button
+                onClick={() => setIsEditing(true)}
+                disabled={busy}
+                title="Edit and resend"
+                className="hover:text-white disabled:opacity-30"
+              >
+                <FaEdit />
+              </button>
+            )}
+            <button
+              onClick={handleFork}
+              disabled={busy}
+              title="Fork into new chat from here"
+              className="hover:text-white disabled:opacity-30"
+            >
+              <FaCodeBranch />
+            </button>
+          </span>
+        </div>
+      )}
     </div>
   );
 });
 
+// Picks the model for the next turns of a chat; earlier replies keep theirs
+const ModelSwitcher = ({ chat, disabled }) => {
+  const availableModels = useChatStore(state => state.availableModels);
+  const fetchModels = useChatStore(state => state.fetchModels);
+  const updateChatSettings = useChatStore(state => state.updateChatSettings);
+
+  useEffect(() => {
+    if (!useChatStore.getState().availableModels.length) fetchModels();
+  }, [fetchModels]);
+
+  return (
+    <select
+      value={chat.model}
+      onChange={(e) => updateChatSettings(chat.id, { model: e.target.value })}
+      disabled={disabled}
+      title="Model for the next reply"
+      className="text-xs px-4 h-full bg-zinc-700/40 py-2 outline-none text-gray-200 disabled:opacity-50"
+    >
+      {!availableModels.some(m => m.name === chat.model) && (
+        <option value={chat.model}>{chat.model}</option>
+      )}
+      {availableModels.map(m => (
+        <option key={m.name} value={m.name}>{m.name}</option>
+      ))}
+    </select>
+  );
+};
+
+const formatTokens = (count) => (count >= 1000 ? `${(count / 1000).toFixed(1)}k` : `${count}`);
+
+// How full the context window is, from the last reply's real token counts
+// when there is one, otherwise estimated from the text
+const ContextMeter = ({ chat, thread, info }) => {
+  const limit = getContextLimit(chat.options, info);
+  const trained = getTrainedContextLength(info);
+
+  const messages = thread.map(({ msg }) => msg);
+  const lastIndex = messages.findLastIndex(msg => msg.metrics?.prompt_eval_count);
+  const last = messages[lastIndex];
+  const used = last
+    ? last.metrics.prompt_eval_count + (last.metrics.eval_count ?? 0) + sumTokens(messages.slice(lastIndex + 1))
+    : sumTokens(messages) + estimateTextTokens(chat.systemPrompt);
+  const ratio = Math.min(used / limit, 1);
+  const { trimmed, summarized } = last ?? {};
+
+  return (
+    <span
+      className="flex items-center space-x-2 text-xs font-normal px-4 py-1 bg-zinc-700/40"
+      title={[
+        `${used} of ${limit} tokens`,
+        trained > limit && `the model supports up to ${trained} with a larger num_ctx`,
+        trimmed && `${trimmed} earlier messages left out of the last request`,
+        summarized && `${summarized} earlier messages summarized for the last request`,
+      ].filter(Boolean).join(', ')}
+    >
+      <span>Context: <b>{formatTokens(used)}/{formatTokens(limit)}</b></span>
+      <span className="w-16 h-1.5 rounded bg-zinc-800/80 overflow-hidden">
+        <span
+          className={`block h-full ${ratio > 0.9 ? 'bg-red-400' : ratio > 0.7 ? 'bg-yellow-300' : 'bg-green-300'}`}
+          style={{ width: `${ratio * 100}%` }}
+        />
+      </span>
+    </span>
+  );
+};
+
+// Timing footer for an AI reply, from Ollama's final chunk
+const MessageStats = ({ metrics }) => (
+  <div className="mt-1 flex flex-wrap gap-x-3 text-xs text-gray-400">
+    <span>{metrics.eval_count ?? 0} tokens</span>
+    <span>{tokensPerSecond(metrics.eval_count, metrics.eval_duration).toFixed(1)} tok/s</span>
+    {metrics.prompt_eval_count > 0 && (
+      <span>
+        prompt {metrics.prompt_eval_count} tok @ {tokensPerSecond(metrics.prompt_eval_count, metrics.prompt_eval_duration).toFixed(0)} tok/s
+      </span>
+    )}
+    {metrics.load_duration > 0 && <span>load {formatDuration(metrics.load_duration)}</span>}
+    <span>total {formatDuration(metrics.total_duration)}</span>
+  </div>
+);
+
+// Tiny bar chart of generation speed per run, oldest to newest
+const SpeedSparkline = ({ history }) => {
+  const points = history.slice(-40);
+  const max = Math.max(...points.map(p => p.evalRate), 1);
+  return (
+    <svg viewBox={`0 0 ${points.length * 4} 24`} className="w-full h-6" preserveAspectRatio="none">
+      {points.map((p, i) => (
+        <rect
+          key={i}
+          x={i * 4}
+          y={24 - (p.evalRate / max) * 24}
+          width={3}
+          height={(p.evalRate / max) * 24}
+          className="fill-blue-300/70"
+        >
+          <title>{`${new Date(p.at).toLocaleString()}: ${p.evalRate.toFixed(1)} tok/s`}</title>
+        </rect>
+      ))}
+    </svg>
+  );
+};
+
 const App = () => {
-  const { chats, setCurrentChat, deleteChat } = useChatStore();
+  const storageError = useChatStore(state => state.storageError);
+  const dismissStorageError = useChatStore(state => state.dismissStorageError);
+  const hydrated = useChatStore(state => state.hydrated);
+
+  // Auto-start depends on a saved setting, so wait for the store to load
+  useEffect(() => {
+    if (hydrated) return superviseServer();
+  }, [hydrated]);
+
   return (
     // <div className="bg-black h-screen flex flex-row bg-gradient-to-br from-red-400/60 to-blue-900/60">
     <BackgroundGradientAnimation className="h-screen w-screen overflow-hidden">
       <div className="absolute w-screen h-screen z-50 inset-0 flex flex-row">
+        <KeyboardShortcuts />
+        {storageError && (
+          <div className="absolute top-2 left-1/2 -translate-x-1/2 z-50 flex items-center space-x-4 px-4 py-2 rounded-lg bg-red-900/80 backdrop-blur-2xl text-red-100 text-sm shadow-lg">
+            <span>⚠️ {storageError}</span>
+            <button onClick={dismissStorageError} className="text-red-200 hover:text-white">
+              <FaTimes />
+            </button>
+          </div>
+        )}
         <div className="w-[20vw] transition-all bg-zinc-900/70 backdrop-blur-2xl my-2 rounded-r-3xl px-4 flex flex-col pb-5">
           <div className="w-4/5 mb-4 pt-10">
             <h2 className="text-3xl font-bold text-white">Menu</h2>
           </div>
           
-          <div className="w-4/5 mb-2 ">
-            <h2 className="text-lg font-bold text-gray-200">Chats</h2>
-          </div>
-          
-          <div className="flex flex-col space-y-2 h-1/2 relative overflow-hidden overflow-y-scroll">
-          {chats.map(chat => (
-             <div
-               key={chat.id}
-               className="group flex items-center justify-between hover:bg-zinc-700/50 rounded transition duration-200"
-             >
-               <Link 
-                 href={`/chat/${chat.id}`}
-                 onClick={() => setCurrentChat(chat.id)}
-                 className="px-4 py-2 flex-1 text-white"
-               >
-                 {chat.title}
-               </Link>
-               <button
-                 onClick={(e) => {
-                   e.stopPropagation();
-                   deleteChat(chat.id);
-                 }}
-                 className="invisible group-hover:visible px-3 text-red-400 hover:text-red-300 transition-colors"
-               >
-                 ×
-               </button>
-             </div>
-           ))}
-          </div>
+          <ChatList />
 
           {/* Navigation Links */}
           <nav className="flex flex-col space-y-1 mt-auto">
+            <ServerStatusBadge />
             <Link href="/" className="px-4 py-2 flex items-center text-white hover:bg-zinc-700/60 rounded transition duration-200">
               Home
             </Link>
-            <Link href="#" className="px-4 py-2 flex items-center text-white hover:bg-zinc-700/60 rounded transition duration-200">
+            <Link href="/history" className="px-4 py-2 flex items-center text-white hover:bg-zinc-700/60 rounded transition duration-200">
               History
             </Link>
+            <Link href="/arena" className="px-4 py-2 flex items-center text-white hover:bg-zinc-700/60 rounded transition duration-200">
+              Arena
+            </Link>
             <Link href="/settings" className="px-4 py-2 flex items-center text-white hover:bg-zinc-700/60 rounded transition duration-200">
               Settings
             </Link>
@@ -191,6 +704,12 @@ const App = () => {
             {(params) => <Chat params={params}/>}
           </Route>
 
+          <Route path="/history" component={History} />
+
+          <Route path="/arena/:id?">
+            {(params) => <Arena params={params}/>}
+          </Route>
+
           <Route path="settings">
             <Settings/>
           </Route>
@@ -205,19 +724,32 @@ const App = () => {
 
 const Home = () => {
   const [input, setInput] = useState('');
-  const { createChat, availableModels, loadingModels, fetchModels } = useChatStore();
-  const [selectedModel, setSelectedModel] = useState('');
+  const createChat = useChatStore(state => state.createChat);
+  const sendMessage = useChatStore(state => state.sendMessage);
+  const availableModels = useChatStore(state => state.availableModels);
+  const loadingModels = useChatStore(state => state.loadingModels);
+  const fetchModels = useChatStore(state => state.fetchModels);
+  const apiError = useChatStore(state => state.apiError);
+  // The command palette opens Home with a model picked
+  const modelParam = new URLSearchParams(useSearch()).get('model');
+  const [selectedModel, setSelectedModel] = useState(modelParam ?? '');
   const [_, navigate] = useLocation();
 
   useEffect(() => {
     fetchModels();
   }, [fetchModels]);
 
+  useEffect(() => {
+    if (modelParam) setSelectedModel(modelParam);
+  }, [modelParam]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (!input.trim() || !selectedModel) return;
     
-    const chatId = createChat(input.trim(), selectedModel);
+    // The prompt becomes the first message; the title follows the first reply
+    const chatId = createChat(null, selectedModel);
+    sendMessage(chatId, input.trim());
     navigate(`/chat/${chatId}`);
     setInput('');
   };
@@ -242,6 +774,11 @@ const Home = () => {
               </option>
             ))}
           </select>
+          {apiError && !loadingModels && (
+            <div className="mt-2 text-sm">
+              <ErrorNotice error={apiError} onRetry={fetchModels} />
+            </div>
+          )}
         </div>
 
         <form onSubmit={handleSubmit}>
@@ -249,6 +786,8 @@ const Home = () => {
             type="text"
             value={input}
             onChange={(e) => setInput(e.target.value)}
+            id="composer"
+            autoFocus
             placeholder="Ask me anything..."
             className="w-full p-4 outline-none rounded-lg bg-gray-400/30 focus:outline-none focus:ring-2 focus:ring-purple-400 placeholder-gray-300 text-gray-200 transition duration-500"
           />
@@ -270,45 +809,16 @@ const Home = () => {
 };
 
 const Settings = () => {
-  const [activeTab, setActiveTab] = useState('ollama');
-  const [isOllamaRunning, setIsOllamaRunning] = useState(false);
-  const [models, setModels] = useState([]);
+  // Pages like the command palette link straight to a tab with ?tab=
+  const tabParam = new URLSearchParams(useSearch()).get('tab');
+  const [activeTab, setActiveTab] = useState(tabParam ?? 'ollama');
+  useEffect(() => {
+    if (tabParam) setActiveTab(tabParam);
+  }, [tabParam]);
   const [apiKey, setApiKey] = useState(localStorage.getItem('OLLAMA_API_KEY') || '');
-
-  // Check if Ollama server is running
-  const checkOllamaStatus = async () => {
-    try {
-      const response = await fetch('http://localhost:11434/api/ps');
-      setIsOllamaRunning(response.ok);
-    } catch (error) {
-      setIsOllamaRunning(false);
-    }
-  };
-
-  // Fetch available models
-  const fetchModels = async () => {
-    try {
-      const response = await fetch('http://localhost:11434/api/tags');
-      if (response.ok) {
-        const data = await response.json();
-        setModels(data.models || []);
-      } else {
-        setModels([]);
-      }
-    } catch (error) {
-      setModels([]);
-    }
-  };
-
-  // Start Ollama server (Note: This typically requires manual initiation)
-  const startOllama = async () => {
-    invoke('start_ollama', {})
-  };
-
-  // Stop Ollama server (Note: This typically requires manual termination)
-  const stopOllama = () => {
-    alert('Please stop the Ollama server manually.');
-  };
+  const performanceLog = useChatStore(state => state.performanceLog);
+  const clearPerformanceLog = useChatStore(state => state.clearPerformanceLog);
+  const modelSummaries = useMemo(() => summarizeByModel(performanceLog), [performanceLog]);
 
   // Save API key to local storage
   const saveApiKey = () => {
@@ -316,11 +826,6 @@ const Settings = () => {
     alert('API key saved successfully.');
   };
 
-  useEffect(() => {
-    checkOllamaStatus();
-    fetchModels();
-  }, []);
-
   return (
     <div className="w-full py-3 flex flex-col items-center justify-center">
       <div className="w-full h-full relative bg-zinc-900/40 backdrop-blur-2xl bg-opacity-10 backdrop-blur-lg rounded-xl shadow-lg p-8 max-w-lg">
@@ -329,11 +834,11 @@ const Settings = () => {
 
         {/* Tab Navigation */}
         <div className="flex justify-center mb-6 bg-zinc-700/40 rounded-lg">
-          {['General', 'Ollama', 'Config', 'Performance'].map((tab) => (
+          {['General', 'Ollama', 'Prompts', 'Config', 'Performance'].map((tab) => (
             <button
               key={tab}
               onClick={() => setActiveTab(tab.toLowerCase())}
-              className={`mx-2 px-4 py-2 rounded-md outline-none transition duration-200 ${
+              className={`mx-1 px-3 py-2 rounded-md outline-none transition duration-200 ${
                 activeTab === tab.toLowerCase()
                   ? 'bg-white text-black'
                   : ' text-white'
@@ -348,54 +853,29 @@ const Settings = () => {
         <div>
           {activeTab === 'general' && (
             <div>
-              <h2 className="text-xl font-bold text-white mb-2">General Settings</h2>
-              {/* Add general settings here */}
-              <p className="text-white">General settings content goes here.</p>
+              <ShortcutSettings />
             </div>
           )}
 
           {activeTab === 'ollama' && (
             <div>
-              {/* Ollama Server Status */}
-              <div className="mb-4">
-                <h2 className="text-xl font-bold text-white mb-2">Ollama Server Status</h2>
-                <p className={`text-lg ${isOllamaRunning ? 'text-green-200' : 'text-red-300'}`}>
-                  {isOllamaRunning ? 'Running' : 'Not Running'}
-                </p>
-              </div>
+              {/* Status, start/stop and logs of the server */}
+              <ServerControls />
 
-              {/* Start/Stop Ollama Server */}
-              <div className="mb-4 flex space-x-4">
-                <button
-                  onClick={startOllama}
-                  className="bg-green-500/70 hover:bg-green-500/80 transition duration-300 text-white font-bold py-2 px-4 rounded"
-                >
-                  Start Ollama
-                </button>
-                <button
-                  onClick={stopOllama}
-                  className="bg-red-500/70 hover:bg-red-500/80 transition duration-300 text-white font-bold py-2 px-4 rounded"
-                >
-                  Stop Ollama
-                </button>
+              {/* What is loaded in memory, with unload */}
+              <div className="mb-4">
+                <RunningModels />
               </div>
 
-              {/* List Available Models */}
+              {/* Pull, inspect, copy and delete models */}
               <div className="mb-4">
-                <h2 className="text-xl font-bold text-white mb-2">Available Models</h2>
-                <ul className="flex flex-col gap-3 h-48 overflow-y-scroll list-inside text-white">
-                  {models.length > 0 ? (
-                    models.map((model, index) => (
-                      <li key={index}>- {model.name}</li>
-                    ))
-                  ) : (
-                    <div>No models available</div>
-                  )}
-                </ul>
+                <ModelManager />
               </div>
             </div>
           )}
 
+          {activeTab === 'prompts' && <PromptLibrary />}
+
           {activeTab === 'config' && (
             <div>
               <h2 className="text-xl font-bold text-white mb-2">Configuration</h2>
@@ -415,14 +895,45 @@ const Settings = () => {
                   Save API Key
                 </button>
               </div>
+              <FolderAccessSettings />
+              <BackupSettings />
             </div>
           )}
 
           {activeTab === 'performance' && (
             <div>
-              <h2 className="text-xl font-bold text-white mb-2">Performance Metrics</h2>
-              {/* Add performance metrics here */}
-              <p className="text-white">Performance metrics content goes here.</p>
+              <div className="flex items-center justify-between mb-2">
+                <h2 className="text-xl font-bold text-white">Performance Metrics</h2>
+                <button
+                  onClick={clearPerformanceLog}
+                  disabled={performanceLog.length === 0}
+                  className="text-sm text-red-300 hover:text-red-200 disabled:opacity-30"
+                >
+                  Clear
+                </button>
+              </div>
+              {modelSummaries.length > 0 ? (
+                <ul className="flex flex-col gap-3 max-h-96 overflow-y-scroll text-white">
+                  {modelSummaries.map((summary) => (
+                    <li key={summary.model} className="p-3 rounded-lg bg-zinc-700/40">
+                      <div className="flex justify-between font-bold">
+                        <span>{summary.model}</span>
+                        <span className="text-sm text-gray-300 font-normal">{summary.runs} replies</span>
+                      </div>
+                      <div className="grid grid-cols-2 gap-x-4 text-sm text-gray-200 my-2">
+                        <span>Generation: <b>{summary.evalRate.toFixed(1)} tok/s</b></span>
+                        <span>Prompt: <b>{summary.promptRate.toFixed(0)} tok/s</b></span>
+                        <span>Avg load: <b>{formatDuration(summary.loadDuration)}</b></span>
+                        <span>Avg total: <b>{formatDuration(summary.totalDuration)}</b></span>
+                        <span>Tokens generated: <b>{summary.totalTokens}</b></span>
+                      </div>
+                      <SpeedSparkline history={summary.history} />
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-white">No replies measured yet.</p>
+              )}
             </div>
           )}
         </div>
@@ -0,0 +1,31 @@
+// Image attachments are stored on messages as { name, mimeType, data } where
+// `data` is plain base64, the form Ollama expects in a message's `images`.
+
+export const isImageFile = (file) => file.type.startsWith("image/");
+
+export function readImageFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      // Strip the "data:<mime>;base64," prefix
+      const data = reader.result.slice(reader.result.indexOf(",") + 1);
+      resolve({ name: file.name, mimeType: file.type, data });
+    };
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+// Read every image among the given files, ignoring anything else
+export function readImageFiles(files) {
+  return Promise.all([...files].filter(isImageFile).map(readImageFile));
+}
+
+// Imported chats may carry any mimeType; anything but an image type is shown
+// as PNG, which browsers sniff past when the data is another format
+const IMAGE_MIME_TYPE = /^image\/[\w.+-]+$/;
+
+export const imageSrc = (image) => {
+  const mimeType = IMAGE_MIME_TYPE.test(image.mimeType ?? "") ? image.mimeType : "image/png";
+  return `data:${mimeType};base64,${image.data}`;
+};
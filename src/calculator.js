@@ -0,0 +1,121 @@
+// Arithmetic expression evaluator for the calculator tool. A small
+// recursive-descent parser, so model output is never passed to `eval`.
+//
+// Supports + - * / % ^, parentheses, unary minus, the constants pi and e and
+// the functions below.
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  ln: Math.log,
+  log: Math.log10,
+  exp: Math.exp,
+};
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+)|([a-z_]+)|(\*\*|[-+*/%^(),]))/giy;
+  let match;
+  while (pattern.lastIndex < expression.length) {
+    const start = pattern.lastIndex;
+    match = pattern.exec(expression);
+    if (!match) {
+      if (!expression.slice(start).trim()) break;
+      throw new Error(`Unexpected input at "${expression.slice(start).trim()}"`);
+    }
+    if (match[1]) tokens.push({ type: "number", value: parseFloat(match[1]) });
+    else if (match[2]) tokens.push({ type: "name", value: match[2].toLowerCase() });
+    else if (match[3]) tokens.push({ type: "op", value: match[3] === "**" ? "^" : match[3] });
+  }
+  return tokens;
+}
+
+export function evaluate(expression) {
+  const tokens = tokenize(expression);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const accept = (value) => {
+    if (peek()?.type === "op" && peek().value === value) {
+      pos += 1;
+      return true;
+    }
+    return false;
+  };
+  const expect = (value) => {
+    if (!accept(value)) throw new Error(`Expected "${value}"`);
+  };
+
+  // expression := term (("+" | "-") term)*
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (true) {
+      if (accept("+")) value += parseTerm();
+      else if (accept("-")) value -= parseTerm();
+      else return value;
+    }
+  };
+
+  // term := unary (("*" | "/" | "%") unary)*
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (true) {
+      if (accept("*")) value *= parseUnary();
+      else if (accept("/")) value /= parseUnary();
+      else if (accept("%")) value %= parseUnary();
+      else return value;
+    }
+  };
+
+  // unary := ("-" | "+") unary | power
+  const parseUnary = () => {
+    if (accept("-")) return -parseUnary();
+    if (accept("+")) return parseUnary();
+    return parsePower();
+  };
+
+  // power := primary ("^" unary)?   (right-associative)
+  const parsePower = () => {
+    const base = parsePrimary();
+    return accept("^") ? base ** parseUnary() : base;
+  };
+
+  // primary := number | constant | function "(" expression ")" | "(" expression ")"
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new Error("Unexpected end of expression");
+    pos += 1;
+
+    if (token.type === "number") return token.value;
+    if (token.type === "name") {
+      if (token.value in CONSTANTS) return CONSTANTS[token.value];
+      const fn = FUNCTIONS[token.value];
+      if (!fn) throw new Error(`Unknown function "${token.value}"`);
+      expect("(");
+      const arg = parseExpression();
+      expect(")");
+      return fn(arg);
+    }
+    if (token.value === "(") {
+      const value = parseExpression();
+      expect(")");
+      return value;
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  const result = parseExpression();
+  if (pos < tokens.length) throw new Error(`Unexpected "${peek().value}"`);
+  return result;
+}
@@ -0,0 +1,58 @@
+// Ordering and grouping of chats for the sidebar: pinned chats, folders,
+// tag filtering and sort orders.
+
+export const CHAT_SORTS = [
+  { key: "updated", label: "Last activity" },
+  { key: "created", label: "Created" },
+  { key: "title", label: "Title" },
+];
+
+export const DEFAULT_CHAT_SORT = "updated";
+
+// Time of the newest message, or undefined for a chat without dated ones
+export const lastActivity = (messages) =>
+  messages.map((msg) => msg.createdAt).filter(Boolean).sort().at(-1);
+
+// Tags are compared case-insensitively, so they are kept lower case
+export const parseTags = (text) => [
+  ...new Set(
+    text
+      .split(",")
+      .map((tag) => tag.trim().toLowerCase())
+      .filter(Boolean),
+  ),
+];
+
+export const allTags = (chats) => [...new Set(chats.flatMap((chat) => chat.tags ?? []))].sort();
+
+const COMPARE = {
+  updated: (a, b) => (b.updatedAt ?? b.createdAt ?? "").localeCompare(a.updatedAt ?? a.createdAt ?? ""),
+  created: (a, b) => (b.createdAt ?? "").localeCompare(a.createdAt ?? ""),
+  title: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: "base", numeric: true }),
+};
+
+export const sortChats = (chats, sort) => [...chats].sort(COMPARE[sort] ?? COMPARE[DEFAULT_CHAT_SORT]);
+
+// The sidebar's sections: pinned chats first, then each folder, then chats
+// outside of any folder (including ones whose folder no longer exists).
+// With a `tag`, only chats carrying it are kept, and only folders holding
+// one of them.
+export function groupChats(chats, folders, { sort, tag }) {
+  const visible = sortChats(tag ? chats.filter((chat) => chat.tags?.includes(tag)) : chats, sort);
+  const folderIds = new Set(folders.map((folder) => folder.id));
+  const unpinned = visible.filter((chat) => !chat.pinned);
+
+  return {
+    pinned: visible.filter((chat) => chat.pinned),
+    folders: folders
+      .map((folder) => ({ folder, chats: unpinned.filter((chat) => chat.folderId === folder.id) }))
+      .filter((group) => !tag || group.chats.length),
+    unfiled: unpinned.filter((chat) => !folderIds.has(chat.folderId)),
+  };
+}
+
+// Chats in the order the sidebar lists them, for stepping through them
+export function sidebarOrder(chats, folders, sort) {
+  const groups = groupChats(chats, folders, { sort });
+  return [...groups.pinned, ...groups.folders.flatMap((group) => group.chats), ...groups.unfiled];
+}
@@ -0,0 +1,57 @@
+// Generation options a chat can pass through to Ollama's `options` field.
+// Empty values are left out of the request so the model's defaults apply.
+export const OPTION_FIELDS = [
+  { key: "temperature", label: "Temperature", type: "float", min: 0, max: 2, step: 0.05 },
+  { key: "top_p", label: "Top P", type: "float", min: 0, max: 1, step: 0.05 },
+  { key: "top_k", label: "Top K", type: "int", min: 0, step: 1 },
+  { key: "num_ctx", label: "Context length", type: "int", min: 1, step: 256 },
+  { key: "repeat_penalty", label: "Repeat penalty", type: "float", min: 0, step: 0.05 },
+  { key: "seed", label: "Seed", type: "int", step: 1 },
+  { key: "stop", label: "Stop sequences", type: "list" },
+];
+
+// Stored option values -> strings for form inputs
+export const toDraft = (options = {}) =>
+  Object.fromEntries(
+    OPTION_FIELDS.map(({ key, type }) => [
+      key,
+      type === "list" ? (options[key] ?? []).join("\n") : String(options[key] ?? ""),
+    ]),
+  );
+
+// Form input strings -> stored option values, dropping empty ones
+export const fromDraft = (draft) => {
+  const options = {};
+  for (const { key, type } of OPTION_FIELDS) {
+    const value = draft[key].trim();
+    if (!value) continue;
+    if (type === "list") {
+      options[key] = value.split("\n").filter(Boolean);
+    } else {
+      const number = type === "int" ? parseInt(value, 10) : parseFloat(value);
+      if (!Number.isNaN(number)) options[key] = number;
+    }
+  }
+  return options;
+};
+
+// Turn a chat's stored options into the `options` object for /api/chat
+export function toRequestOptions(options = {}) {
+  const result = {};
+  for (const { key, type } of OPTION_FIELDS) {
+    const value = options[key];
+    if (type === "list") {
+      if (Array.isArray(value) && value.length > 0) result[key] = value;
+    } else if (value !== undefined && value !== null && value !== "") {
+      result[key] = Number(value);
+    }
+  }
+  return result;
+}
+
+// Build the message list sent to the model, prefixed with the system prompt
+export function withSystemPrompt(systemPrompt, messages) {
+  return systemPrompt?.trim()
+    ? [{ role: "system", content: systemPrompt }, ...messages]
+    : messages;
+}
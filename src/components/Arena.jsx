@@ -0,0 +1,280 @@
+import { useEffect, useState } from "react";
+import { Link, useLocation } from "wouter";
+import Markdown from "react-markdown";
+import rehypeHighlight from "rehype-highlight";
+import { FaPaperPlane, FaStar, FaRegStar, FaStop, FaTrash } from "react-icons/fa";
+
+import { comparisonStreamId, useChatStore } from "../store";
+import { useStreamStore } from "../streamStore";
+import { formatDuration, tokensPerSecond } from "../metrics";
+import ErrorNotice from "./ErrorNotice";
+
+const MIN_MODELS = 2;
+const MAX_MODELS = 4;
+
+// Pick the models for a new comparison, or reopen a saved one
+const ArenaSetup = () => {
+  const availableModels = useChatStore((state) => state.availableModels);
+  const fetchModels = useChatStore((state) => state.fetchModels);
+  const comparisons = useChatStore((state) => state.comparisons);
+  const createComparison = useChatStore((state) => state.createComparison);
+  const deleteComparison = useChatStore((state) => state.deleteComparison);
+  const [selected, setSelected] = useState([]);
+  const [, navigate] = useLocation();
+
+  useEffect(() => {
+    fetchModels();
+  }, [fetchModels]);
+
+  const toggleModel = (name) => {
+    setSelected(
+      selected.includes(name)
+        ? selected.filter((m) => m !== name)
+        : selected.length < MAX_MODELS
+          ? [...selected, name]
+          : selected,
+    );
+  };
+
+  const handleStart = () => {
+    navigate(`/arena/${createComparison(selected)}`);
+  };
+
+  return (
+    <div className="w-full py-3 flex flex-col items-center overflow-y-auto">
+      <div className="bg-zinc-900/40 backdrop-blur-2xl rounded-xl shadow-lg p-8 max-w-lg w-full text-white">
+        <h1 className="text-4xl font-bold mb-4 text-center">Arena</h1>
+        <p className="mb-4 text-sm text-gray-300">
+          Send the same prompt to {MIN_MODELS}–{MAX_MODELS} models and compare the answers side by side.
+        </p>
+
+        <ul className="mb-4 space-y-1">
+          {availableModels.map(({ name }) => (
+            <li key={name}>
+              <label className="flex items-center space-x-2 px-3 py-2 rounded-lg bg-zinc-700/40 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(name)}
+                  disabled={!selected.includes(name) && selected.length >= MAX_MODELS}
+                  onChange={() => toggleModel(name)}
+                />
+                <span>{name}</span>
+              </label>
+            </li>
+          ))}
+        </ul>
+        <button
+          onClick={handleStart}
+          disabled={selected.length < MIN_MODELS}
+          className="w-full py-2 rounded-lg bg-blue-500/60 hover:bg-blue-600/60 disabled:opacity-30 font-semibold transition duration-200"
+        >
+          Compare {selected.length} models
+        </button>
+
+        {comparisons.length > 0 && (
+          <>
+            <h2 className="text-xl font-bold mt-8 mb-2">Saved comparisons</h2>
+            <ul className="space-y-1">
+              {comparisons.map((comparison) => (
+                <li key={comparison.id} className="flex items-center justify-between px-3 py-2 rounded-lg bg-zinc-700/40">
+                  <Link href={`/arena/${comparison.id}`} className="flex-1 min-w-0 truncate hover:underline">
+                    {comparison.title}
+                    <span className="ml-2 text-xs text-gray-400">{comparison.models.join(" · ")}</span>
+                  </Link>
+                  <button
+                    onClick={() => deleteComparison(comparison.id)}
+                    title="Delete comparison"
+                    className="ml-2 text-gray-300 hover:text-red-300"
+                  >
+                    <FaTrash />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// One model's answer to a turn, with its live or final speed and time
+const ArenaReply = ({ comparisonId, turn, model }) => {
+  const reply = turn.replies[model];
+  const preferComparisonReply = useChatStore((state) => state.preferComparisonReply);
+  const streamId = comparisonStreamId(turn.id, model);
+  const streamedText = useStreamStore((state) => (reply.isStreaming ? state.texts[streamId] : undefined));
+  const progress = useStreamStore((state) => (reply.isStreaming ? state.progress[streamId] : undefined));
+  const text = streamedText ?? reply.text;
+  const preferred = turn.preferred === model;
+  const [, setTick] = useState(0);
+
+  // Keep the clock running while the model loads or is slow to answer
+  useEffect(() => {
+    if (!reply.isStreaming) return;
+    const timer = setInterval(() => setTick((tick) => tick + 1), 250);
+    return () => clearInterval(timer);
+  }, [reply.isStreaming]);
+
+  // While streaming the numbers come from the chunks seen so far
+  const elapsedMs = reply.isStreaming
+    ? Date.now() - Date.parse(turn.createdAt)
+    : reply.metrics?.total_duration / 1e6 || reply.elapsed;
+  const speed = reply.isStreaming
+    ? progress ? progress.tokens / Math.max((Date.now() - progress.startedAt) / 1000, 0.001) : 0
+    : tokensPerSecond(reply.metrics?.eval_count, reply.metrics?.eval_duration);
+
+  return (
+    <div
+      className={`flex flex-col min-w-0 p-3 rounded-xl backdrop-blur-2xl bg-gray-700/40 text-white ${
+        preferred ? "ring-2 ring-yellow-300/70" : ""
+      }`}
+    >
+      <div className="flex items-center justify-between mb-2 text-xs text-gray-300">
+        <span className="font-bold truncate">{model}</span>
+        <span className="flex items-center space-x-3 shrink-0">
+          <span>{Math.round(speed)} tok/s</span>
+          <span>{formatDuration((elapsedMs ?? 0) * 1e6)}</span>
+          <button
+            onClick={() => preferComparisonReply(comparisonId, turn.id, model)}
+            disabled={reply.isStreaming}
+            title={preferred ? "Clear vote" : "Mark as the better answer"}
+            className="text-yellow-200 hover:text-yellow-100 disabled:opacity-30"
+          >
+            {preferred ? <FaStar /> : <FaRegStar />}
+          </button>
+        </span>
+      </div>
+      {reply.error ? (
+        <ErrorNotice error={reply.error} model={model} />
+      ) : (
+        <div className={`min-w-0 overflow-x-auto ${reply.isStreaming ? "animate-pulse" : ""}`}>
+          <Markdown rehypePlugins={[rehypeHighlight]}>{text}</Markdown>
+        </div>
+      )}
+      {reply.stopped && <div className="mt-1 text-xs text-gray-400 italic">Stopped</div>}
+    </div>
+  );
+};
+
+// A comparison: every turn's prompt above the models' answers in columns,
+// and a composer that keeps all of the conversations going, or sends each
+// prompt on its own
+const ArenaSession = ({ id }) => {
+  const comparison = useChatStore((state) => state.comparisons.find((c) => c.id === id));
+  const hydrated = useChatStore((state) => state.hydrated);
+  const sendComparison = useChatStore((state) => state.sendComparison);
+  const setComparisonContinues = useChatStore((state) => state.setComparisonContinues);
+  const stopGeneration = useChatStore((state) => state.stopGeneration);
+  const [input, setInput] = useState("");
+
+  if (!comparison) {
+    return (
+      <div className="w-full h-full flex items-center justify-center text-white">
+        {hydrated ? "Comparison not found" : "Loading..."}
+      </div>
+    );
+  }
+
+  const isGenerating = comparison.turns.some((turn) =>
+    Object.values(turn.replies).some((reply) => reply.isStreaming),
+  );
+  const wins = Object.fromEntries(
+    comparison.models.map((model) => [model, comparison.turns.filter((t) => t.preferred === model).length]),
+  );
+  const continues = comparison.continueConversation !== false;
+  const columns = { gridTemplateColumns: `repeat(${comparison.models.length}, minmax(0, 1fr))` };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!input.trim() || isGenerating) return;
+    sendComparison(comparison.id, input.trim());
+    setInput("");
+  };
+
+  return (
+    <div className="flex flex-col h-full w-full p-4 min-w-0">
+      <div className="flex flex-col flex-1 overflow-y-auto bg-zinc-900/40 rounded-xl">
+        <div className="sticky top-0 z-10 grid gap-2 px-2 py-2 border-b-2 border-white/30 backdrop-blur-2xl text-gray-200" style={columns}>
+          {comparison.models.map((model) => (
+            <div key={model} className="text-center font-bold truncate">
+              {model}
+              {wins[model] > 0 && (
+                <span className="ml-2 text-xs text-yellow-200">
+                  <FaStar className="inline mb-0.5" /> {wins[model]}
+                </span>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="px-2 pb-2">
+          {comparison.turns.map((turn) => (
+            <div key={turn.id} className="mt-3">
+              <div className="ml-auto w-fit max-w-2/3 mb-2 p-3 rounded-xl bg-blue-300/20 text-white whitespace-pre-wrap">
+                {turn.prompt}
+              </div>
+              {turn.standalone && (
+                <div className="mb-1 text-right text-xs text-gray-400">Sent without the earlier turns</div>
+              )}
+              <div className="grid gap-2 items-start" style={columns}>
+                {comparison.models.map((model) => (
+                  <ArenaReply key={model} comparisonId={comparison.id} turn={turn} model={model} />
+                ))}
+              </div>
+            </div>
+          ))}
+          {comparison.turns.length === 0 && (
+            <p className="mt-8 text-center text-gray-300">Send a prompt to all {comparison.models.length} models.</p>
+          )}
+        </div>
+      </div>
+
+      <form onSubmit={handleSubmit} className="flex flex-row my-4 rounded-lg bg-gray-900/70 backdrop-blur-2xl">
+        <input
+          id="composer"
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder={
+            comparison.turns.length && continues ? "Continue in all columns..." : "Prompt for all models..."
+          }
+          disabled={isGenerating}
+          className="flex-1 p-4 transition duration-300 outline-none text-white bg-transparent disabled:opacity-50"
+          autoFocus
+        />
+        <label
+          title="Off: each prompt is sent fresh, without the earlier turns"
+          className="flex items-center px-2 text-xs text-gray-300 whitespace-nowrap"
+        >
+          <input
+            type="checkbox"
+            checked={continues}
+            onChange={(e) => setComparisonContinues(comparison.id, e.target.checked)}
+            className="mr-1"
+          />
+          Continue conversation
+        </label>
+        {isGenerating ? (
+          <button
+            type="button"
+            onClick={() => stopGeneration(comparison.id)}
+            title="Stop generating"
+            className="ml-2 px-5 rounded-lg transition duration-200 hover:bg-red-500/30"
+          >
+            <FaStop className="text-red-300 text-xl" />
+          </button>
+        ) : (
+          <button type="submit" className="ml-2 px-5 rounded-lg transition duration-200">
+            <FaPaperPlane className="text-white text-xl" />
+          </button>
+        )}
+      </form>
+    </div>
+  );
+};
+
+// `/arena` sets up a comparison, `/arena/:id` shows one
+const Arena = ({ params }) => (params.id ? <ArenaSession id={params.id} /> : <ArenaSetup />);
+
+export default Arena;
@@ -0,0 +1,94 @@
+import { useState } from "react";
+
+import { useChatStore } from "../store";
+import { parseImport } from "../importChats";
+import ExportMenu from "./ExportMenu";
+
+const BackupSettings = () => {
+  const chats = useChatStore((state) => state.chats);
+  const importChats = useChatStore((state) => state.importChats);
+  const [imported, setImported] = useState(null);
+  const [onConflict, setOnConflict] = useState("skip");
+  const [message, setMessage] = useState(null);
+
+  const existingIds = new Set(chats.map((chat) => chat.id));
+  const conflicts = imported?.filter((chat) => existingIds.has(chat.id)).length ?? 0;
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setMessage(null);
+    try {
+      setImported(parseImport(await file.text()));
+    } catch (error) {
+      setImported(null);
+      setMessage({ error: true, text: error.message });
+    }
+  };
+
+  const handleImport = () => {
+    const { added, replaced, skipped } = importChats(imported, onConflict);
+    setImported(null);
+    setMessage({ error: false, text: `Imported ${added} chats, replaced ${replaced}, skipped ${skipped}.` });
+  };
+
+  return (
+    <div className="mb-4 text-white">
+      <h2 className="text-xl font-bold mb-2">Backup</h2>
+
+      <div className="flex items-center justify-between mb-4">
+        <span>Export all {chats.length} chats</span>
+        <ExportMenu
+          chats={chats}
+          label="Export"
+          className="bg-zinc-700/60 hover:bg-zinc-600/60 py-2 px-4 rounded disabled:opacity-30"
+        />
+      </div>
+
+      <label className="block mb-2">
+        Import a Native Llama JSON export, an OpenAI messages array or ChatGPT's conversations.json:
+      </label>
+      <input
+        type="file"
+        accept=".json,application/json"
+        onChange={handleFile}
+        className="w-full text-sm file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:bg-zinc-700/60 file:text-white"
+      />
+
+      {imported && (
+        <div className="mt-3 p-3 rounded-lg bg-zinc-700/40 text-sm space-y-2">
+          <div>
+            {imported.length} chats found
+            {conflicts > 0 && `, ${conflicts} with the same id as an existing chat`}.
+          </div>
+          {conflicts > 0 && (
+            <select
+              value={onConflict}
+              onChange={(e) => setOnConflict(e.target.value)}
+              className="w-full p-2 rounded-lg bg-zinc-800/60 outline-none"
+            >
+              <option value="skip">Keep existing chats, skip those</option>
+              <option value="replace">Replace existing chats</option>
+              <option value="copy">Import them as copies</option>
+            </select>
+          )}
+          <div className="flex space-x-2">
+            <button onClick={handleImport} className="bg-blue-500 hover:bg-blue-600 font-bold py-1 px-4 rounded">
+              Import
+            </button>
+            <button onClick={() => setImported(null)} className="py-1 px-4 rounded hover:bg-zinc-700/60">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {message && (
+        <p className={`mt-2 text-sm ${message.error ? "text-red-300" : "text-green-200"}`}>{message.text}</p>
+      )}
+    </div>
+  );
+};
+
+export default BackupSettings;
@@ -0,0 +1,52 @@
+import { FaFileAlt, FaTimes } from "react-icons/fa";
+
+import { useChatStore } from "../store";
+
+// Documents attached to a chat, and the one being indexed
+const ChatDocuments = ({ chat }) => {
+  const indexing = useChatStore((state) => state.indexing[chat.id]);
+  const removeDocument = useChatStore((state) => state.removeDocument);
+  const dismissIndexingError = useChatStore((state) => state.dismissIndexingError);
+  const documents = chat.documents ?? [];
+
+  if (!documents.length && !indexing) return null;
+
+  return (
+    <div className="mt-4 flex flex-wrap items-center gap-2 rounded-lg bg-gray-900/70 backdrop-blur-2xl p-2 text-sm text-white">
+      {documents.map((doc) => (
+        <span
+          key={doc.id}
+          title={`${doc.chunks.length} chunks, embedded with ${doc.embeddingModel}`}
+          className="flex items-center px-2 py-1 rounded bg-zinc-700/60"
+        >
+          <FaFileAlt className="mr-1 text-gray-300" />
+          <span className="max-w-48 truncate">{doc.name}</span>
+          <button
+            onClick={() => removeDocument(chat.id, doc.id)}
+            title="Remove document"
+            className="ml-2 text-gray-300 hover:text-white"
+          >
+            <FaTimes />
+          </button>
+        </span>
+      ))}
+      {indexing?.error ? (
+        <span className="flex items-center text-red-300">
+          ⚠️ {indexing.error}
+          <button onClick={() => dismissIndexingError(chat.id)} className="ml-2 text-red-200 hover:text-white">
+            <FaTimes />
+          </button>
+        </span>
+      ) : (
+        indexing && (
+          <span className="text-gray-300 animate-pulse">
+            Indexing {indexing.name}
+            {indexing.total > 0 && ` (${indexing.done}/${indexing.total} chunks)`}…
+          </span>
+        )
+      )}
+    </div>
+  );
+};
+
+export default ChatDocuments;
@@ -0,0 +1,331 @@
+import { useMemo, useState } from "react";
+import { Link } from "wouter";
+import {
+  FaChevronDown,
+  FaChevronRight,
+  FaEdit,
+  FaFolder,
+  FaFolderPlus,
+  FaRedo,
+  FaTag,
+  FaThumbtack,
+} from "react-icons/fa";
+
+import { useChatStore } from "../store";
+import { CHAT_SORTS, allTags, groupChats, parseTags } from "../chatList";
+
+// Drag data type of a chat being moved between folders
+const CHAT_DRAG_TYPE = "application/x-native-llama-chat";
+
+const isChatDrag = (e) => e.dataTransfer.types.includes(CHAT_DRAG_TYPE);
+
+// Props making an element a drop target for chats. `onDrop` gets the id of
+// the dropped chat; `setOver` tracks whether a chat is dragged over it.
+const chatDropTarget = (onDrop, setOver) => ({
+  onDragOver: (e) => {
+    if (!isChatDrag(e)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setOver(true);
+  },
+  onDragLeave: () => setOver(false),
+  onDrop: (e) => {
+    if (!isChatDrag(e)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setOver(false);
+    onDrop(e.dataTransfer.getData(CHAT_DRAG_TYPE));
+  },
+});
+
+// One-line text input that saves on Enter or blur and cancels on Escape
+const InlineInput = ({ initial, placeholder, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(initial);
+  return (
+    <input
+      type="text"
+      value={draft}
+      placeholder={placeholder}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={() => onSave(draft)}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") onSave(draft);
+        if (e.key === "Escape") onCancel();
+      }}
+      className="mx-2 my-1 px-2 py-1 flex-1 min-w-0 rounded bg-zinc-800/80 outline-none text-white"
+      autoFocus
+    />
+  );
+};
+
+// Sidebar entry with inline rename, tags, pinning and title regeneration.
+// It can be dragged into a folder.
+const ChatListItem = ({ chat, onTagClick }) => {
+  const setCurrentChat = useChatStore((state) => state.setCurrentChat);
+  const deleteChat = useChatStore((state) => state.deleteChat);
+  const renameChat = useChatStore((state) => state.renameChat);
+  const generateTitle = useChatStore((state) => state.generateTitle);
+  const toggleChatPinned = useChatStore((state) => state.toggleChatPinned);
+  const setChatTags = useChatStore((state) => state.setChatTags);
+  // null, "title" or "tags"
+  const [editing, setEditing] = useState(null);
+  const [isTitling, setIsTitling] = useState(false);
+
+  const finishRename = (draft) => {
+    setEditing(null);
+    if (draft.trim() && draft.trim() !== chat.title) renameChat(chat.id, draft.trim());
+  };
+
+  const finishTags = (draft) => {
+    setEditing(null);
+    setChatTags(chat.id, parseTags(draft));
+  };
+
+  const handleRegenerateTitle = async () => {
+    setIsTitling(true);
+    try {
+      await generateTitle(chat.id);
+    } catch (error) {
+      console.error("Error generating title:", error);
+    } finally {
+      setIsTitling(false);
+    }
+  };
+
+  return (
+    <div
+      draggable={!editing}
+      onDragStart={(e) => {
+        e.dataTransfer.setData(CHAT_DRAG_TYPE, chat.id);
+        e.dataTransfer.effectAllowed = "move";
+      }}
+      className="group hover:bg-zinc-700/50 rounded transition duration-200"
+    >
+      <div className="flex items-center justify-between">
+        {editing === "title" ? (
+          <InlineInput initial={chat.title} onSave={finishRename} onCancel={() => setEditing(null)} />
+        ) : editing === "tags" ? (
+          <InlineInput
+            initial={(chat.tags ?? []).join(", ")}
+            placeholder="Tags, separated by commas"
+            onSave={finishTags}
+            onCancel={() => setEditing(null)}
+          />
+        ) : (
+          <Link
+            href={`/chat/${chat.id}`}
+            onClick={() => setCurrentChat(chat.id)}
+            onDoubleClick={() => setEditing("title")}
+            className={`px-4 py-2 flex-1 min-w-0 truncate text-white ${isTitling ? "animate-pulse" : ""}`}
+          >
+            {chat.pinned && <FaThumbtack className="inline mr-2 mb-0.5 text-xs text-yellow-200" />}
+            {chat.title}
+          </Link>
+        )}
+        <span className="invisible group-hover:visible flex items-center space-x-2 pr-3 text-sm text-gray-300">
+          <button
+            onClick={() => toggleChatPinned(chat.id)}
+            title={chat.pinned ? "Unpin" : "Pin to the top"}
+            className="hover:text-white"
+          >
+            <FaThumbtack />
+          </button>
+          <button onClick={() => setEditing("tags")} title="Edit tags" className="hover:text-white">
+            <FaTag />
+          </button>
+          <button onClick={() => setEditing("title")} title="Rename" className="hover:text-white">
+            <FaEdit />
+          </button>
+          <button
+            onClick={handleRegenerateTitle}
+            disabled={isTitling}
+            title="Regenerate title"
+            className="hover:text-white disabled:opacity-30"
+          >
+            <FaRedo />
+          </button>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              deleteChat(chat.id);
+            }}
+            className="text-red-400 hover:text-red-300 text-base transition-colors"
+          >
+            ×
+          </button>
+        </span>
+      </div>
+      {chat.tags?.length > 0 && !editing && (
+        <div className="flex flex-wrap gap-1 px-4 pb-1 -mt-1">
+          {chat.tags.map((tag) => (
+            <button
+              key={tag}
+              onClick={() => onTagClick(tag)}
+              className="px-1.5 rounded bg-zinc-700/60 text-xs text-gray-300 hover:text-white"
+            >
+              #{tag}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// A folder with its chats; chats dropped on it move into it
+const FolderSection = ({ folder, chats, isNew, onTagClick }) => {
+  const updateFolder = useChatStore((state) => state.updateFolder);
+  const deleteFolder = useChatStore((state) => state.deleteFolder);
+  const moveChatToFolder = useChatStore((state) => state.moveChatToFolder);
+  const [isRenaming, setIsRenaming] = useState(isNew);
+  const [isOver, setIsOver] = useState(false);
+
+  const finishRename = (draft) => {
+    setIsRenaming(false);
+    if (draft.trim()) updateFolder(folder.id, { name: draft.trim() });
+  };
+
+  const handleDelete = () => {
+    if (chats.length && !confirm(`Delete the folder ${folder.name}? Its chats are kept.`)) return;
+    deleteFolder(folder.id);
+  };
+
+  return (
+    <div
+      {...chatDropTarget((chatId) => moveChatToFolder(chatId, folder.id), setIsOver)}
+      className={`rounded ${isOver ? "ring-2 ring-blue-300/60 bg-zinc-700/40" : ""}`}
+    >
+      <div className="group flex items-center text-gray-200 hover:bg-zinc-700/50 rounded">
+        <button
+          onClick={() => updateFolder(folder.id, { collapsed: !folder.collapsed })}
+          className="pl-2 pr-1 py-2 text-xs"
+        >
+          {folder.collapsed ? <FaChevronRight /> : <FaChevronDown />}
+        </button>
+        {isRenaming ? (
+          <InlineInput initial={folder.name} onSave={finishRename} onCancel={() => setIsRenaming(false)} />
+        ) : (
+          <span
+            onDoubleClick={() => setIsRenaming(true)}
+            className="flex-1 min-w-0 py-2 truncate font-semibold"
+          >
+            <FaFolder className="inline mr-2 mb-0.5 text-gray-400" />
+            {folder.name}
+            <span className="ml-2 text-xs text-gray-400">{chats.length}</span>
+          </span>
+        )}
+        <span className="invisible group-hover:visible flex items-center space-x-2 pr-3 text-sm text-gray-300">
+          <button onClick={() => setIsRenaming(true)} title="Rename folder" className="hover:text-white">
+            <FaEdit />
+          </button>
+          <button onClick={handleDelete} title="Delete folder" className="text-red-400 hover:text-red-300 text-base">
+            ×
+          </button>
+        </span>
+      </div>
+      {!folder.collapsed && (
+        <div className="ml-3 flex flex-col space-y-1">
+          {chats.map((chat) => (
+            <ChatListItem key={chat.id} chat={chat} onTagClick={onTagClick} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// The sidebar's chats: sort order, tag filter, pinned chats, folders and
+// the chats outside of them
+const ChatList = () => {
+  const chats = useChatStore((state) => state.chats);
+  const folders = useChatStore((state) => state.folders);
+  const chatSort = useChatStore((state) => state.chatSort);
+  const setChatSort = useChatStore((state) => state.setChatSort);
+  const createFolder = useChatStore((state) => state.createFolder);
+  const moveChatToFolder = useChatStore((state) => state.moveChatToFolder);
+  const [tagFilter, setTagFilter] = useState(null);
+  const [newFolderId, setNewFolderId] = useState(null);
+  const [isOverUnfiled, setIsOverUnfiled] = useState(false);
+
+  const tags = useMemo(() => allTags(chats), [chats]);
+  // A filter on a tag that no chat has any more is dropped
+  const activeTag = tags.includes(tagFilter) ? tagFilter : null;
+  const groups = useMemo(
+    () => groupChats(chats, folders, { sort: chatSort, tag: activeTag }),
+    [chats, folders, chatSort, activeTag],
+  );
+
+  const toggleTag = (tag) => setTagFilter(activeTag === tag ? null : tag);
+
+  const handleNewFolder = () => {
+    setNewFolderId(createFolder("New folder"));
+  };
+
+  return (
+    <>
+      <div className="w-full mb-2 flex items-center justify-between">
+        <h2 className="text-lg font-bold text-gray-200">Chats</h2>
+        <span className="flex items-center space-x-2 text-gray-300">
+          <select
+            value={chatSort}
+            onChange={(e) => setChatSort(e.target.value)}
+            title="Sort chats by"
+            className="text-xs bg-zinc-800/60 rounded px-1 py-0.5 outline-none"
+          >
+            {CHAT_SORTS.map(({ key, label }) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <button onClick={handleNewFolder} title="New folder" className="hover:text-white">
+            <FaFolderPlus />
+          </button>
+        </span>
+      </div>
+
+      {tags.length > 0 && (
+        <div className="mb-2 flex flex-wrap gap-1">
+          {tags.map((tag) => (
+            <button
+              key={tag}
+              onClick={() => toggleTag(tag)}
+              className={`px-1.5 rounded text-xs transition duration-200 ${
+                activeTag === tag ? "bg-white text-black" : "bg-zinc-700/60 text-gray-300 hover:text-white"
+              }`}
+            >
+              #{tag}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div
+        {...chatDropTarget((chatId) => moveChatToFolder(chatId, null), setIsOverUnfiled)}
+        className={`flex flex-col space-y-2 h-1/2 relative overflow-hidden overflow-y-scroll rounded ${
+          isOverUnfiled ? "ring-2 ring-blue-300/60" : ""
+        }`}
+      >
+        {groups.pinned.map((chat) => (
+          <ChatListItem key={chat.id} chat={chat} onTagClick={toggleTag} />
+        ))}
+        {groups.pinned.length > 0 && <hr className="border-white/20" />}
+        {groups.folders.map(({ folder, chats: folderChats }) => (
+          <FolderSection
+            key={folder.id}
+            folder={folder}
+            chats={folderChats}
+            isNew={folder.id === newFolderId}
+            onTagClick={toggleTag}
+          />
+        ))}
+        {groups.unfiled.map((chat) => (
+          <ChatListItem key={chat.id} chat={chat} onTagClick={toggleTag} />
+        ))}
+        {activeTag && !groups.pinned.length && !groups.folders.length && !groups.unfiled.length && (
+          <div className="px-4 text-sm text-gray-400">No chats tagged #{activeTag}</div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default ChatList;
@@ -0,0 +1,334 @@
+import { useState } from "react";
+import { FaTimes } from "react-icons/fa";
+
+import { useChatStore } from "../store";
+import { fromDraft, toDraft } from "../chatOptions";
+import { CONTEXT_STRATEGIES, DEFAULT_CONTEXT_STRATEGY } from "../context";
+import { listTools } from "../tools";
+import { SCHEMA_EXAMPLES, invalidPatterns } from "../structuredOutput";
+import { DEFAULT_EMBEDDING_MODEL, DEFAULT_TOP_K } from "../documents";
+import OptionFields from "./OptionFields";
+
+// Schema textarea -> the schema to store, null when empty. Throws on
+// anything that isn't a JSON object, or has a pattern that doesn't compile.
+const parseFormat = (text) => {
+  if (!text.trim()) return null;
+  const schema = JSON.parse(text);
+  if (typeof schema !== "object" || schema === null || Array.isArray(schema)) {
+    throw new Error("The schema must be a JSON object");
+  }
+  const [badPattern] = invalidPatterns(schema);
+  if (badPattern !== undefined) throw new Error(`Invalid pattern: ${badPattern}`);
+  return schema;
+};
+
+// How long the model stays loaded after a reply, in seconds
+const KEEP_ALIVE_CHOICES = [
+  { value: null, label: "Ollama default" },
+  { value: 300, label: "5 minutes" },
+  { value: 1800, label: "30 minutes" },
+  { value: 3600, label: "1 hour" },
+  { value: -1, label: "Until unloaded" },
+  { value: 0, label: "Unload after each reply" },
+];
+
+// The `think` request parameter
+const THINK_CHOICES = [
+  { value: null, label: "Model default" },
+  { value: true, label: "On" },
+  { value: false, label: "Off" },
+];
+
+const ChatSettingsDrawer = ({ chat, onClose }) => {
+  const presets = useChatStore((state) => state.presets);
+  const updateChatSettings = useChatStore((state) => state.updateChatSettings);
+  const reindexDocuments = useChatStore((state) => state.reindexDocuments);
+  const availableModels = useChatStore((state) => state.availableModels);
+  const savePreset = useChatStore((state) => state.savePreset);
+  const deletePreset = useChatStore((state) => state.deletePreset);
+
+  const [systemPrompt, setSystemPrompt] = useState(chat.systemPrompt ?? "");
+  const [draft, setDraft] = useState(() => toDraft(chat.options));
+  const [contextStrategy, setContextStrategy] = useState(
+    chat.contextStrategy ?? DEFAULT_CONTEXT_STRATEGY,
+  );
+  const [tools, setTools] = useState(chat.tools ?? []);
+  const [formatText, setFormatText] = useState(
+    chat.format ? JSON.stringify(chat.format, null, 2) : "",
+  );
+  const [formatAutoRetry, setFormatAutoRetry] = useState(chat.formatAutoRetry ?? true);
+  const [embeddingModel, setEmbeddingModel] = useState(chat.embeddingModel ?? DEFAULT_EMBEDDING_MODEL);
+  const [retrievalTopK, setRetrievalTopK] = useState(String(chat.retrievalTopK ?? DEFAULT_TOP_K));
+  const [keepAlive, setKeepAlive] = useState(chat.keepAlive ?? null);
+  const [think, setThink] = useState(chat.think ?? null);
+  const [presetName, setPresetName] = useState("");
+  const [selectedPresetId, setSelectedPresetId] = useState("");
+
+  let format = null;
+  let formatError = null;
+  try {
+    format = parseFormat(formatText);
+  } catch (error) {
+    formatError = error.message;
+  }
+
+  const handleSave = () => {
+    if (formatError) return;
+    updateChatSettings(chat.id, {
+      systemPrompt,
+      options: fromDraft(draft),
+      contextStrategy,
+      tools,
+      format,
+      formatAutoRetry,
+      embeddingModel,
+      retrievalTopK: Math.max(1, parseInt(retrievalTopK, 10) || DEFAULT_TOP_K),
+      keepAlive,
+      think,
+    });
+    // Vectors from another model can't be compared with the new one's
+    if (chat.documents?.some((doc) => doc.embeddingModel !== embeddingModel)) {
+      reindexDocuments(chat.id);
+    }
+    onClose();
+  };
+
+  const toggleTool = (name) => {
+    setTools(tools.includes(name) ? tools.filter((t) => t !== name) : [...tools, name]);
+  };
+
+  const handleLoadPreset = (presetId) => {
+    setSelectedPresetId(presetId);
+    const preset = presets.find((p) => p.id === presetId);
+    if (!preset) return;
+    setSystemPrompt(preset.systemPrompt ?? "");
+    setDraft(toDraft(preset.options));
+  };
+
+  const handleSavePreset = () => {
+    if (!presetName.trim()) return;
+    setSelectedPresetId(
+      savePreset(presetName.trim(), { systemPrompt, options: fromDraft(draft) }),
+    );
+    setPresetName("");
+  };
+
+  const handleDeletePreset = () => {
+    if (!selectedPresetId) return;
+    deletePreset(selectedPresetId);
+    setSelectedPresetId("");
+  };
+
+  return (
+    <div className="absolute inset-y-0 right-0 z-10 w-80 flex flex-col bg-zinc-900/90 backdrop-blur-2xl border-l-2 border-white/30 text-white text-sm font-normal">
+      <div className="flex items-center justify-between px-4 h-10 border-b-2 border-white/30">
+        <h2 className="text-base font-bold">Chat Settings</h2>
+        <button onClick={onClose} className="text-gray-300 hover:text-white">
+          <FaTimes />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-scroll p-4 space-y-4">
+        <div>
+          <label className="block mb-1 text-gray-200">Preset</label>
+          <div className="flex space-x-2">
+            <select
+              value={selectedPresetId}
+              onChange={(e) => handleLoadPreset(e.target.value)}
+              className="flex-1 p-2 rounded-lg bg-zinc-800/60 outline-none"
+            >
+              <option value="">Load a preset...</option>
+              {presets.map((preset) => (
+                <option key={preset.id} value={preset.id}>
+                  {preset.name}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={handleDeletePreset}
+              disabled={!selectedPresetId}
+              className="px-3 rounded-lg text-red-300 hover:bg-red-500/20 disabled:opacity-30 transition duration-200"
+            >
+              Delete
+            </button>
+          </div>
+        </div>
+
+        <div>
+          <label className="block mb-1 text-gray-200">System Prompt</label>
+          <textarea
+            value={systemPrompt}
+            onChange={(e) => setSystemPrompt(e.target.value)}
+            placeholder="You are a helpful assistant."
+            rows={5}
+            className="w-full p-2 rounded-lg bg-zinc-800/60 outline-none resize-y"
+          />
+        </div>
+
+        <div>
+          <label className="block mb-1 text-gray-200">When the context fills up</label>
+          <select
+            value={contextStrategy}
+            onChange={(e) => setContextStrategy(e.target.value)}
+            className="w-full p-2 rounded-lg bg-zinc-800/60 outline-none"
+          >
+            {CONTEXT_STRATEGIES.map(({ key, label }) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <p className="mt-1 text-xs text-gray-400">
+            {CONTEXT_STRATEGIES.find((s) => s.key === contextStrategy)?.description}
+            {contextStrategy !== "none" && ", once a context length (num_ctx) is set for the chat or model"}
+          </p>
+        </div>
+
+        <div>
+          <label className="block mb-1 text-gray-200">Thinking</label>
+          <select
+            value={String(think)}
+            onChange={(e) => setThink(JSON.parse(e.target.value))}
+            className="w-full p-2 rounded-lg bg-zinc-800/60 outline-none"
+          >
+            {THINK_CHOICES.map(({ value, label }) => (
+              <option key={label} value={String(value)}>{label}</option>
+            ))}
+          </select>
+          <p className="mt-1 text-xs text-gray-400">
+            Whether reasoning models like deepseek-r1 or qwq think before answering. Models without thinking
+            support reject "On".
+          </p>
+        </div>
+
+        <div>
+          <label className="block mb-1 text-gray-200">Keep model loaded</label>
+          <select
+            value={String(keepAlive)}
+            onChange={(e) => setKeepAlive(e.target.value === "null" ? null : Number(e.target.value))}
+            className="w-full p-2 rounded-lg bg-zinc-800/60 outline-none"
+          >
+            {KEEP_ALIVE_CHOICES.map(({ value, label }) => (
+              <option key={label} value={String(value)}>{label}</option>
+            ))}
+          </select>
+          <p className="mt-1 text-xs text-gray-400">
+            How long the model stays in memory after a reply. Reloading it delays the next answer.
+          </p>
+        </div>
+
+        <div>
+          <label className="block mb-1 text-gray-200">Tools</label>
+          {listTools().map(({ name, description }) => (
+            <label key={name} className="flex items-start space-x-2 mb-1" title={description}>
+              <input
+                type="checkbox"
+                checked={tools.includes(name)}
+                onChange={() => toggleTool(name)}
+                className="mt-1"
+              />
+              <span className="font-mono">{name}</span>
+            </label>
+          ))}
+          <p className="mt-1 text-xs text-gray-400">
+            The model needs to support tool calling. File tools only see folders approved in Settings.
+          </p>
+        </div>
+
+        <div>
+          <label className="block mb-1 text-gray-200">Structured output</label>
+          <select
+            value=""
+            onChange={(e) => {
+              const example = SCHEMA_EXAMPLES.find((ex) => ex.name === e.target.value);
+              if (example) setFormatText(JSON.stringify(example.schema, null, 2));
+            }}
+            className="w-full mb-2 p-2 rounded-lg bg-zinc-800/60 outline-none"
+          >
+            <option value="">Start from an example...</option>
+            {SCHEMA_EXAMPLES.map(({ name }) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <textarea
+            value={formatText}
+            onChange={(e) => setFormatText(e.target.value)}
+            placeholder="JSON schema the replies must follow. Leave empty for free text."
+            rows={6}
+            spellCheck={false}
+            className="w-full p-2 rounded-lg bg-zinc-800/60 outline-none resize-y font-mono text-xs"
+          />
+          {formatError && <p className="mt-1 text-xs text-red-300">{formatError}</p>}
+          <label className="flex items-center space-x-2 mt-1">
+            <input
+              type="checkbox"
+              checked={formatAutoRetry}
+              onChange={(e) => setFormatAutoRetry(e.target.checked)}
+            />
+            <span>Retry automatically when a reply does not match</span>
+          </label>
+        </div>
+
+        <div>
+          <label className="block mb-1 text-gray-200">Documents</label>
+          <div className="flex space-x-2">
+            <select
+              value={embeddingModel}
+              onChange={(e) => setEmbeddingModel(e.target.value)}
+              title="Embedding model"
+              className="flex-1 min-w-0 p-2 rounded-lg bg-zinc-800/60 outline-none"
+            >
+              {!availableModels.some((m) => m.name === embeddingModel) && (
+                <option value={embeddingModel}>{embeddingModel}</option>
+              )}
+              {availableModels.map((m) => (
+                <option key={m.name} value={m.name}>{m.name}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min={1}
+              max={20}
+              value={retrievalTopK}
+              onChange={(e) => setRetrievalTopK(e.target.value)}
+              title="Chunks added per question"
+              className="w-16 p-2 rounded-lg bg-zinc-800/60 outline-none"
+            />
+          </div>
+          <p className="mt-1 text-xs text-gray-400">
+            Embedding model for attached documents, and how many of their chunks go with each question.
+            {chat.documents?.length > 0 && ` ${chat.documents.length} attached.`}
+          </p>
+        </div>
+
+        <OptionFields draft={draft} onChange={setDraft} />
+      </div>
+
+      <div className="p-4 border-t-2 border-white/30 space-y-2">
+        <div className="flex space-x-2">
+          <input
+            type="text"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            placeholder="Preset name"
+            className="flex-1 p-2 rounded-lg bg-zinc-800/60 outline-none"
+          />
+          <button
+            onClick={handleSavePreset}
+            disabled={!presetName.trim()}
+            className="px-3 rounded-lg bg-zinc-700/60 hover:bg-zinc-600/60 disabled:opacity-30 transition duration-200"
+          >
+            Save as preset
+          </button>
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={Boolean(formatError)}
+          className="w-full py-2 rounded-lg bg-blue-500/60 hover:bg-blue-600/60 disabled:opacity-30 font-semibold transition duration-200"
+        >
+          Save
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ChatSettingsDrawer;
@@ -0,0 +1,144 @@
+import { useEffect, useMemo, useState } from "react";
+import { useLocation } from "wouter";
+
+import { useChatStore } from "../store";
+import { fuzzyFilter } from "../fuzzy";
+import { SHORTCUT_ACTIONS, comboFor, formatCombo } from "../shortcuts";
+
+const SETTINGS_PAGES = ["General", "Ollama", "Prompts", "Config", "Performance"];
+
+// Results shown at once; typing narrows them down
+const RESULT_LIMIT = 50;
+
+// Ctrl/Cmd+K search over everything there is to open or do. `actions` are
+// the shortcut actions by id.
+const CommandPalette = ({ actions, activeChatId, onClose }) => {
+  const chats = useChatStore((state) => state.chats);
+  const availableModels = useChatStore((state) => state.availableModels);
+  const prompts = useChatStore((state) => state.prompts);
+  const shortcuts = useChatStore((state) => state.shortcuts);
+  const setCurrentChat = useChatStore((state) => state.setCurrentChat);
+  const fetchModels = useChatStore((state) => state.fetchModels);
+  const [, navigate] = useLocation();
+  const [query, setQuery] = useState("");
+  const [selected, setSelected] = useState(0);
+
+  // Models are only listed once something has fetched them
+  useEffect(() => {
+    if (!useChatStore.getState().availableModels.length) fetchModels();
+  }, [fetchModels]);
+
+  const commands = useMemo(
+    () => [
+      ...SHORTCUT_ACTIONS.filter(({ id }) => id !== "palette").map(({ id, label }) => ({
+        id: `action:${id}`,
+        kind: "Action",
+        label,
+        hint: formatCombo(comboFor(shortcuts, id)),
+        run: actions[id],
+      })),
+      ...chats.map((chat) => ({
+        id: `chat:${chat.id}`,
+        kind: "Chat",
+        label: chat.title,
+        hint: chat.model,
+        run: () => {
+          setCurrentChat(chat.id);
+          navigate(`/chat/${chat.id}`);
+        },
+      })),
+      ...availableModels.map(({ name }) => ({
+        id: `model:${name}`,
+        kind: "Model",
+        label: `New chat with ${name}`,
+        run: () => navigate(`/?model=${encodeURIComponent(name)}`),
+      })),
+      ...(activeChatId
+        ? prompts.map((prompt) => ({
+            id: `prompt:${prompt.id}`,
+            kind: "Prompt",
+            label: `/${prompt.name}`,
+            hint: prompt.template,
+            run: () => navigate(`/chat/${activeChatId}?prompt=${prompt.id}`),
+          }))
+        : []),
+      { id: "page:history", kind: "Page", label: "History", run: () => navigate("/history") },
+      { id: "page:arena", kind: "Page", label: "Arena", run: () => navigate("/arena") },
+      ...SETTINGS_PAGES.map((page) => ({
+        id: `settings:${page}`,
+        kind: "Settings",
+        label: `Settings: ${page}`,
+        run: () => navigate(`/settings?tab=${page.toLowerCase()}`),
+      })),
+    ],
+    [actions, activeChatId, chats, availableModels, prompts, shortcuts, setCurrentChat, navigate],
+  );
+
+  const results = useMemo(
+    () => fuzzyFilter(commands, query, (command) => `${command.kind} ${command.label}`).slice(0, RESULT_LIMIT),
+    [commands, query],
+  );
+
+  const runCommand = (command) => {
+    onClose();
+    command?.run();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setSelected((selected + step + results.length) % Math.max(results.length, 1));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      runCommand(results[selected]);
+    } else if (e.key === "Escape") {
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      onMouseDown={onClose}
+      className="fixed inset-0 z-[60] flex items-start justify-center pt-[15vh] bg-black/40"
+    >
+      <div
+        onMouseDown={(e) => e.stopPropagation()}
+        className="w-full max-w-xl rounded-xl bg-zinc-900/90 backdrop-blur-2xl border border-white/20 shadow-lg text-white overflow-hidden"
+      >
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setSelected(0);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder="Search chats, models, prompts and settings..."
+          className="w-full px-4 py-3 bg-transparent outline-none border-b border-white/20"
+          autoFocus
+        />
+        <ul className="max-h-[50vh] overflow-y-auto py-1">
+          {results.map((command, index) => (
+            <li
+              key={command.id}
+              onClick={() => runCommand(command)}
+              onMouseEnter={() => setSelected(index)}
+              ref={index === selected ? (el) => el?.scrollIntoView({ block: "nearest" }) : undefined}
+              className={`flex items-center px-4 py-2 cursor-pointer text-sm ${
+                index === selected ? "bg-zinc-700/70" : ""
+              }`}
+            >
+              <span className="w-16 shrink-0 text-xs text-gray-400">{command.kind}</span>
+              <span className="flex-1 truncate">{command.label}</span>
+              {command.hint && <span className="ml-2 max-w-[40%] truncate text-xs text-gray-400">{command.hint}</span>}
+            </li>
+          ))}
+          {results.length === 0 && <li className="px-4 py-2 text-sm text-gray-400">No matches</li>}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
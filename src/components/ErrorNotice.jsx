@@ -0,0 +1,72 @@
+import { FaRedo } from "react-icons/fa";
+
+import { useChatStore } from "../store";
+import { startServer, useServerStore } from "../ollamaServer";
+
+// The fix for failures that have one: pull a missing model, start a
+// stopped server. The model to pull is the one the failed request used,
+// falling back to `fallbackModel` for errors stored without it.
+const ErrorFix = ({ error, fallbackModel }) => {
+  const model = error.model ?? fallbackModel;
+  const pullModel = useChatStore((state) => state.pullModel);
+  const pull = useChatStore((state) => (model ? state.pulls[model] : undefined));
+  const running = useServerStore((state) => state.running);
+  const starting = useServerStore((state) => state.starting);
+
+  if (error.kind === "model_not_found" && model) {
+    if (pull && pull.status !== "error") {
+      const percent = pull.total ? Math.round(((pull.completed ?? 0) / pull.total) * 100) : null;
+      return <span className="text-gray-300">Pulling {model}: {pull.status}{percent !== null && ` ${percent}%`}</span>;
+    }
+    return (
+      <button onClick={() => pullModel(model)} className="px-2 py-0.5 rounded bg-blue-500/50 hover:bg-blue-500/70">
+        Pull {model}
+      </button>
+    );
+  }
+
+  if (error.kind === "connection" && !running) {
+    return (
+      <button
+        onClick={startServer}
+        disabled={starting}
+        className="px-2 py-0.5 rounded bg-green-500/50 hover:bg-green-500/70 disabled:opacity-30"
+      >
+        {starting ? "Starting Ollama..." : "Start Ollama"}
+      </button>
+    );
+  }
+
+  return null;
+};
+
+// A failed request: what happened, Ollama's own error text, and what can be
+// done about it
+const ErrorNotice = ({ error, model, onRetry, busy }) => (
+  <div className="text-red-300">
+    <div>
+      ⚠️ {error.message}
+      {error.status && <span className="ml-2 text-xs text-red-200/70">HTTP {error.status}</span>}
+    </div>
+    {error.body && error.body !== error.message && (
+      <details className="mt-1 text-xs">
+        <summary className="cursor-pointer text-red-200/80">Details</summary>
+        <pre className="mt-1 p-2 rounded bg-zinc-900/60 whitespace-pre-wrap">{error.body}</pre>
+      </details>
+    )}
+    <div className="mt-2 flex items-center space-x-2 text-xs text-white">
+      <ErrorFix error={error} fallbackModel={model} />
+      {onRetry && (
+        <button
+          onClick={onRetry}
+          disabled={busy}
+          className="flex items-center px-2 py-0.5 rounded bg-zinc-700/60 hover:bg-zinc-600/60 disabled:opacity-30"
+        >
+          <FaRedo className="mr-1" /> Retry
+        </button>
+      )}
+    </div>
+  </div>
+);
+
+export default ErrorNotice;
@@ -0,0 +1,40 @@
+import { useState } from "react";
+import { FaDownload } from "react-icons/fa";
+
+import { EXPORT_FORMATS, downloadChats } from "../exportChats";
+
+// Download button with a format picker for one or more chats
+const ExportMenu = ({ chats, label, className }) => {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        title="Export"
+        disabled={chats.length === 0}
+        className={className}
+      >
+        <FaDownload className="inline" />{label && <span className="ml-2">{label}</span>}
+      </button>
+      {open && (
+        <div className="absolute right-0 z-20 mt-1 flex flex-col rounded-lg bg-zinc-800/95 backdrop-blur-2xl text-sm text-white font-normal shadow-lg overflow-hidden">
+          {EXPORT_FORMATS.map(({ key, label }) => (
+            <button
+              key={key}
+              onClick={() => {
+                downloadChats(chats, key);
+                setOpen(false);
+              }}
+              className="px-4 py-2 text-left hover:bg-zinc-700/80"
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,58 @@
+import { useEffect, useState } from "react";
+import { FaFolderOpen, FaTimes } from "react-icons/fa";
+
+import { useChatStore } from "../store";
+
+// Folders the read_file and list_files tools may access. New ones are picked
+// in the system's folder dialog.
+const FolderAccessSettings = () => {
+  const approvedFolders = useChatStore((state) => state.approvedFolders);
+  const loadApprovedFolders = useChatStore((state) => state.loadApprovedFolders);
+  const pickApprovedFolder = useChatStore((state) => state.pickApprovedFolder);
+  const revokeFolder = useChatStore((state) => state.revokeFolder);
+  const [error, setError] = useState(null);
+
+  const run = (action) => () => {
+    setError(null);
+    action().catch((err) => setError(String(err)));
+  };
+
+  useEffect(() => {
+    loadApprovedFolders().catch((err) => setError(String(err)));
+  }, [loadApprovedFolders]);
+
+  return (
+    <div className="mb-4 text-white">
+      <h2 className="text-xl font-bold mb-2">File Access for Tools</h2>
+      <p className="mb-2 text-sm text-gray-300">
+        Chats with the file tools enabled can list and read files inside these folders, and nowhere else.
+      </p>
+
+      <ul className="mb-2 space-y-1">
+        {approvedFolders.map((path) => (
+          <li key={path} className="flex items-center justify-between px-3 py-2 rounded-lg bg-zinc-700/40">
+            <span className="font-mono text-sm truncate">{path}</span>
+            <button
+              onClick={run(() => revokeFolder(path))}
+              title="Remove access"
+              className="ml-2 text-gray-300 hover:text-red-300"
+            >
+              <FaTimes />
+            </button>
+          </li>
+        ))}
+        {approvedFolders.length === 0 && <li className="text-sm text-gray-400">No folders approved.</li>}
+      </ul>
+
+      <button
+        onClick={run(pickApprovedFolder)}
+        className="flex items-center bg-zinc-700/60 hover:bg-zinc-600/60 py-2 px-4 rounded"
+      >
+        <FaFolderOpen className="mr-2" /> Approve a folder…
+      </button>
+      {error && <div className="mt-2 text-sm text-red-300">{error}</div>}
+    </div>
+  );
+};
+
+export default FolderAccessSettings;
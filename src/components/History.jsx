@@ -0,0 +1,109 @@
+import { useDeferredValue, useMemo, useState } from "react";
+import { Link } from "wouter";
+
+import { useChatStore } from "../store";
+import { buildSearchIndex, search } from "../search";
+
+const History = () => {
+  const chats = useChatStore((state) => state.chats);
+  const [query, setQuery] = useState("");
+  const [model, setModel] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+
+  // Typing stays responsive while results for the previous query render
+  const deferredQuery = useDeferredValue(query);
+
+  const index = useMemo(() => buildSearchIndex(chats), [chats]);
+  const models = useMemo(
+    () => [...new Set(chats.flatMap((c) => [c.model, ...c.messages.map((m) => m.model)]))].filter(Boolean).sort(),
+    [chats],
+  );
+  const { results, total } = useMemo(
+    () => search(index, { query: deferredQuery, model, from, to }),
+    [index, deferredQuery, model, from, to],
+  );
+
+  return (
+    <div className="w-full h-full p-4 flex flex-col">
+      <div className="flex flex-col h-full bg-zinc-900/40 backdrop-blur-2xl rounded-xl p-6 text-white">
+        <h1 className="text-3xl font-bold mb-4">History</h1>
+
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search all messages..."
+          className="w-full p-3 rounded-lg bg-gray-400/30 outline-none focus:ring-2 focus:ring-purple-400 placeholder-gray-300"
+          autoFocus
+        />
+
+        <div className="flex flex-wrap gap-3 mt-3 text-sm">
+          <select
+            value={model}
+            onChange={(e) => setModel(e.target.value)}
+            className="p-2 rounded-lg bg-zinc-800/60 outline-none"
+          >
+            <option value="">All models</option>
+            {models.map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <label className="flex items-center space-x-2">
+            <span>From</span>
+            <input
+              type="date"
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+              className="p-2 rounded-lg bg-zinc-800/60 outline-none"
+            />
+          </label>
+          <label className="flex items-center space-x-2">
+            <span>To</span>
+            <input
+              type="date"
+              value={to}
+              onChange={(e) => setTo(e.target.value)}
+              className="p-2 rounded-lg bg-zinc-800/60 outline-none"
+            />
+          </label>
+        </div>
+
+        <div className="mt-4 text-sm text-gray-300">
+          {deferredQuery.trim()
+            ? `${total} ${total === 1 ? "match" : "matches"}${total > results.length ? `, showing the newest ${results.length}` : ""}`
+            : `${index.length} messages in ${chats.length} chats`}
+        </div>
+
+        <ul className="flex-1 mt-2 flex flex-col gap-2 overflow-y-scroll">
+          {results.map((result) => (
+            <li key={`${result.chatId}-${result.messageId}`}>
+              <Link
+                href={`/chat/${result.chatId}?message=${result.messageId}`}
+                className="block p-3 rounded-lg bg-zinc-700/40 hover:bg-zinc-700/70 transition duration-200"
+              >
+                <div className="flex justify-between text-xs text-gray-300 mb-1">
+                  <span>
+                    <b className="text-white">{result.chatTitle}</b> · {result.sender === "user" ? "You" : result.model}
+                  </span>
+                  <span>{new Date(result.date).toLocaleString()}</span>
+                </div>
+                <div className="text-sm">
+                  {result.snippet.map((segment, i) =>
+                    segment.match ? (
+                      <mark key={i} className="bg-yellow-300/40 text-white rounded px-0.5">{segment.text}</mark>
+                    ) : (
+                      <span key={i}>{segment.text}</span>
+                    ),
+                  )}
+                </div>
+              </Link>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default History;
@@ -0,0 +1,70 @@
+import { useState } from "react";
+import { FaChevronDown, FaChevronRight } from "react-icons/fa";
+
+const Primitive = ({ value }) => {
+  const color =
+    typeof value === "string"
+      ? "text-green-300"
+      : typeof value === "number"
+        ? "text-blue-300"
+        : "text-purple-300";
+  return <span className={color}>{JSON.stringify(value)}</span>;
+};
+
+// One key/value line; objects and arrays fold open and closed
+const JsonNode = ({ name, value, depth }) => {
+  const isContainer = value !== null && typeof value === "object";
+  const [open, setOpen] = useState(depth < 2);
+
+  const label = name !== undefined && <span className="text-gray-300">{name}: </span>;
+  if (!isContainer) {
+    return (
+      <div style={{ paddingLeft: `${depth}rem` }}>
+        {label}
+        <Primitive value={value} />
+      </div>
+    );
+  }
+
+  const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+  const [openBracket, closeBracket] = Array.isArray(value) ? ["[", "]"] : ["{", "}"];
+
+  return (
+    <div>
+      <div
+        onClick={() => setOpen(!open)}
+        style={{ paddingLeft: `${depth}rem` }}
+        className="flex items-center cursor-pointer select-none hover:bg-white/5 rounded"
+      >
+        {open ? <FaChevronDown className="mr-1 text-xs" /> : <FaChevronRight className="mr-1 text-xs" />}
+        {label}
+        {open ? (
+          openBracket
+        ) : (
+          <span className="text-gray-400">
+            {openBracket} {entries.length} {Array.isArray(value) ? "items" : "keys"} {closeBracket}
+          </span>
+        )}
+      </div>
+      {open && (
+        <>
+          {entries.map(([key, item]) => (
+            <JsonNode key={key} name={key} value={item} depth={depth + 1} />
+          ))}
+          <div style={{ paddingLeft: `${depth}rem` }}>
+            {closeBracket}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Collapsible view of a parsed JSON value
+const JsonTree = ({ value }) => (
+  <div className="font-mono text-sm leading-relaxed">
+    <JsonNode value={value} depth={0} />
+  </div>
+);
+
+export default JsonTree;
@@ -0,0 +1,72 @@
+import { useEffect, useMemo, useState } from "react";
+import { useLocation, useRoute } from "wouter";
+
+import { useChatStore } from "../store";
+import { getActivePath } from "../messageTree";
+import { sidebarOrder } from "../chatList";
+import { comboFromEvent, isTyping, resolveBindings } from "../shortcuts";
+import CommandPalette from "./CommandPalette";
+
+// Listens for the (rebindable) shortcuts anywhere in the app and hosts the
+// command palette
+const KeyboardShortcuts = () => {
+  const shortcuts = useChatStore((state) => state.shortcuts);
+  const [, navigate] = useLocation();
+  const [, params] = useRoute("/chat/:id");
+  const activeChatId = params?.id;
+  const [paletteOpen, setPaletteOpen] = useState(false);
+
+  const actions = useMemo(() => {
+    // Chats are read when an action runs, so this doesn't re-render with them
+    const { getState } = useChatStore;
+
+    const switchChat = (step) => {
+      const { folders, chatSort, setCurrentChat } = getState();
+      const chats = sidebarOrder(getState().chats, folders, chatSort);
+      if (!chats.length) return;
+      const index = chats.findIndex((chat) => chat.id === activeChatId);
+      const next = chats[index < 0 ? 0 : (index + step + chats.length) % chats.length];
+      setCurrentChat(next.id);
+      navigate(`/chat/${next.id}`);
+    };
+
+    return {
+      palette: () => setPaletteOpen((open) => !open),
+      newChat: () => navigate("/"),
+      nextChat: () => switchChat(1),
+      prevChat: () => switchChat(-1),
+      focusComposer: () => document.getElementById("composer")?.focus(),
+      stopGeneration: () => activeChatId && getState().stopGeneration(activeChatId),
+      copyLastReply: () => {
+        const chat = getState().chats.find((c) => c.id === activeChatId);
+        const reply = chat && getActivePath(chat).findLast((msg) => msg.sender === "ai" && !msg.isStreaming);
+        if (reply) navigator.clipboard.writeText(reply.text).catch(console.error);
+      },
+    };
+  }, [activeChatId, navigate]);
+
+  useEffect(() => {
+    const bindings = resolveBindings(shortcuts);
+    const handleKeyDown = (e) => {
+      const combo = comboFromEvent(e);
+      const actionId = combo && bindings.get(combo);
+      if (!actionId || isTyping(e, combo)) return;
+      e.preventDefault();
+      actions[actionId]();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [shortcuts, actions]);
+
+  return (
+    paletteOpen && (
+      <CommandPalette
+        actions={actions}
+        activeChatId={activeChatId}
+        onClose={() => setPaletteOpen(false)}
+      />
+    )
+  );
+};
+
+export default KeyboardShortcuts;
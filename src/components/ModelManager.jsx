@@ -0,0 +1,231 @@
+import { useEffect, useState } from "react";
+import { FaCopy, FaInfoCircle, FaTimes, FaTrash } from "react-icons/fa";
+
+import { useChatStore } from "../store";
+import ErrorNotice from "./ErrorNotice";
+
+export const formatBytes = (bytes) => {
+  if (!bytes) return "";
+  return bytes >= 1e9 ? `${(bytes / 1e9).toFixed(1)}GB` : `${(bytes / 1e6).toFixed(0)}MB`;
+};
+
+const PullProgress = ({ name, progress }) => {
+  const cancelPull = useChatStore((state) => state.cancelPull);
+  const dismissPull = useChatStore((state) => state.dismissPull);
+  const percent = progress.total ? (progress.completed ?? 0) / progress.total * 100 : 0;
+
+  return (
+    <div className="p-2 rounded-lg bg-zinc-700/40 text-sm">
+      <div className="flex justify-between">
+        <span className="font-bold">{name}</span>
+        {progress.status === "error" ? (
+          <button onClick={() => dismissPull(name)} className="text-gray-300 hover:text-white">
+            <FaTimes />
+          </button>
+        ) : (
+          <button onClick={() => cancelPull(name)} className="text-red-300 hover:text-red-200">
+            Cancel
+          </button>
+        )}
+      </div>
+      {progress.status === "error" ? (
+        <div className="text-red-300">{progress.error}</div>
+      ) : (
+        <>
+          <div className="text-gray-300">
+            {progress.status}
+            {progress.total ? ` — ${formatBytes(progress.completed)} / ${formatBytes(progress.total)}` : ""}
+          </div>
+          <div className="mt-1 h-2 rounded bg-zinc-800/60 overflow-hidden">
+            <div className="h-full bg-blue-400/70 transition-all" style={{ width: `${percent}%` }} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const ModelDetails = ({ name, onClose }) => {
+  const showModel = useChatStore((state) => state.showModel);
+  const [info, setInfo] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    showModel(name).then(setInfo, (e) => setError(e.message));
+  }, [name, showModel]);
+
+  return (
+    <div className="p-3 rounded-lg bg-zinc-800/60 text-sm">
+      <div className="flex justify-between mb-2">
+        <span className="font-bold">{name}</span>
+        <button onClick={onClose} className="text-gray-300 hover:text-white">
+          <FaTimes />
+        </button>
+      </div>
+      {error && <div className="text-red-300">{error}</div>}
+      {!info && !error && <div className="text-gray-300">Loading...</div>}
+      {info && (
+        <div className="space-y-2">
+          <div className="grid grid-cols-2 gap-x-4 text-gray-200">
+            <span>Family: <b>{info.details?.family ?? "-"}</b></span>
+            <span>Parameters: <b>{info.details?.parameter_size ?? "-"}</b></span>
+            <span>Quantization: <b>{info.details?.quantization_level ?? "-"}</b></span>
+            <span>Format: <b>{info.details?.format ?? "-"}</b></span>
+          </div>
+          {[["Parameters", info.parameters], ["Template", info.template], ["License", info.license]]
+            .filter(([, value]) => value)
+            .map(([label, value]) => (
+              <details key={label}>
+                <summary className="cursor-pointer text-gray-200">{label}</summary>
+                <pre className="mt-1 p-2 max-h-40 overflow-auto rounded bg-zinc-900/60 whitespace-pre-wrap text-xs">
+                  {value}
+                </pre>
+              </details>
+            ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ModelRow = ({ model, isInspected, onInspect }) => {
+  const deleteModel = useChatStore((state) => state.deleteModel);
+  const copyModel = useChatStore((state) => state.copyModel);
+  const renameModel = useChatStore((state) => state.renameModel);
+  const [copyName, setCopyName] = useState(null);
+  const [error, setError] = useState(null);
+
+  const run = async (action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const handleDelete = () => {
+    if (!confirm(`Delete ${model.name}?`)) return;
+    run(() => deleteModel(model.name));
+  };
+
+  const handleCopy = (rename) => {
+    const destination = copyName.trim();
+    if (!destination) return;
+    setCopyName(null);
+    run(() => (rename ? renameModel : copyModel)(model.name, destination));
+  };
+
+  return (
+    <li className="flex flex-col">
+      <div className="flex items-center justify-between">
+        <span>
+          {model.name} <span className="text-gray-400 text-sm">{formatBytes(model.size)}</span>
+        </span>
+        <span className="flex items-center space-x-3 text-gray-300">
+          <button onClick={onInspect} title="Details" className={`hover:text-white ${isInspected ? "text-white" : ""}`}>
+            <FaInfoCircle />
+          </button>
+          <button onClick={() => setCopyName(copyName === null ? model.name : null)} title="Copy or rename" className="hover:text-white">
+            <FaCopy />
+          </button>
+          <button onClick={handleDelete} title="Delete" className="text-red-400 hover:text-red-300">
+            <FaTrash />
+          </button>
+        </span>
+      </div>
+      {copyName !== null && (
+        <div className="mt-1 flex space-x-2 text-sm">
+          <input
+            type="text"
+            value={copyName}
+            onChange={(e) => setCopyName(e.target.value)}
+            className="flex-1 px-2 py-1 rounded bg-zinc-800/60 outline-none"
+            autoFocus
+          />
+          <button onClick={() => handleCopy(false)} className="px-2 rounded bg-zinc-700/60 hover:bg-zinc-600/60">
+            Copy
+          </button>
+          <button onClick={() => handleCopy(true)} className="px-2 rounded bg-zinc-700/60 hover:bg-zinc-600/60">
+            Rename
+          </button>
+        </div>
+      )}
+      {error && <div className="text-red-300 text-sm">{error}</div>}
+    </li>
+  );
+};
+
+const ModelManager = () => {
+  const availableModels = useChatStore((state) => state.availableModels);
+  const fetchModels = useChatStore((state) => state.fetchModels);
+  const pullModel = useChatStore((state) => state.pullModel);
+  const pulls = useChatStore((state) => state.pulls);
+  const apiError = useChatStore((state) => state.apiError);
+  const [pullName, setPullName] = useState("");
+  const [inspected, setInspected] = useState(null);
+
+  useEffect(() => {
+    fetchModels();
+  }, [fetchModels]);
+
+  const handlePull = (e) => {
+    e.preventDefault();
+    if (!pullName.trim()) return;
+    pullModel(pullName.trim());
+    setPullName("");
+  };
+
+  return (
+    <div className="text-white">
+      <h2 className="text-xl font-bold mb-2">Available Models</h2>
+
+      <form onSubmit={handlePull} className="flex space-x-2 mb-3">
+        <input
+          type="text"
+          value={pullName}
+          onChange={(e) => setPullName(e.target.value)}
+          placeholder="Model to pull, e.g. llama3.2:3b"
+          className="flex-1 px-3 py-2 rounded-lg bg-zinc-800/60 outline-none"
+        />
+        <button
+          type="submit"
+          className="bg-blue-500/70 hover:bg-blue-500/80 transition duration-300 font-bold py-2 px-4 rounded"
+        >
+          Pull
+        </button>
+      </form>
+
+      {Object.keys(pulls).length > 0 && (
+        <div className="flex flex-col gap-2 mb-3">
+          {Object.entries(pulls).map(([name, progress]) => (
+            <PullProgress key={name} name={name} progress={progress} />
+          ))}
+        </div>
+      )}
+
+      {inspected && <ModelDetails key={inspected} name={inspected} onClose={() => setInspected(null)} />}
+
+      <ul className="flex flex-col gap-3 h-48 overflow-y-scroll list-inside mt-3">
+        {availableModels.length > 0 ? (
+          availableModels.map((model) => (
+            <ModelRow
+              key={model.name}
+              model={model}
+              isInspected={inspected === model.name}
+              onInspect={() => setInspected(inspected === model.name ? null : model.name)}
+            />
+          ))
+        ) : apiError ? (
+          <div className="text-sm">
+            <ErrorNotice error={apiError} onRetry={fetchModels} />
+          </div>
+        ) : (
+          <div>No models available</div>
+        )}
+      </ul>
+    </div>
+  );
+};
+
+export default ModelManager;
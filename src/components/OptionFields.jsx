@@ -0,0 +1,33 @@
+import { OPTION_FIELDS } from "../chatOptions";
+
+// Inputs for the generation options, editing a draft from `toDraft`
+const OptionFields = ({ draft, onChange }) =>
+  OPTION_FIELDS.map(({ key, label, type, min, max, step }) => (
+    <div key={key}>
+      <label className="block mb-1 text-gray-200">
+        {label} <span className="text-gray-400 text-xs">{key}</span>
+      </label>
+      {type === "list" ? (
+        <textarea
+          value={draft[key]}
+          onChange={(e) => onChange({ ...draft, [key]: e.target.value })}
+          placeholder="One per line"
+          rows={2}
+          className="w-full p-2 rounded-lg bg-zinc-800/60 outline-none resize-y"
+        />
+      ) : (
+        <input
+          type="number"
+          value={draft[key]}
+          min={min}
+          max={max}
+          step={step}
+          onChange={(e) => onChange({ ...draft, [key]: e.target.value })}
+          placeholder="Model default"
+          className="w-full p-2 rounded-lg bg-zinc-800/60 outline-none"
+        />
+      )}
+    </div>
+  ));
+
+export default OptionFields;
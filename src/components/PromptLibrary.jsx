@@ -0,0 +1,137 @@
+import { useState } from "react";
+import { FaEdit, FaPlus, FaTrash } from "react-icons/fa";
+
+import { useChatStore } from "../store";
+import { toDraft } from "../chatOptions";
+import { editedPrompt, templateVariables } from "../prompts";
+import OptionFields from "./OptionFields";
+
+const EMPTY_PROMPT = { name: "", template: "", model: "", options: {} };
+
+// Add or edit one prompt; options are only shown when asked for
+const PromptEditor = ({ prompt, onDone }) => {
+  const availableModels = useChatStore((state) => state.availableModels);
+  const savePrompt = useChatStore((state) => state.savePrompt);
+  const [name, setName] = useState(prompt.name);
+  const [template, setTemplate] = useState(prompt.template);
+  const [model, setModel] = useState(prompt.model ?? "");
+  const [draft, setDraft] = useState(() => toDraft(prompt.options));
+  const [showOptions, setShowOptions] = useState(Object.keys(prompt.options ?? {}).length > 0);
+
+  // Names are typed after a slash, so no spaces
+  const cleanName = name.trim().replace(/\s+/g, "-");
+  const variables = templateVariables(template);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!cleanName || !template.trim()) return;
+    savePrompt(
+      editedPrompt({ id: prompt.id, name: cleanName, template, model, draft, overrideOptions: showOptions }),
+    );
+    onDone();
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-3 rounded-lg bg-zinc-700/40 text-sm space-y-2">
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Name, used as /name"
+        className="w-full p-2 rounded-lg bg-zinc-800/60 outline-none font-mono"
+        autoFocus
+      />
+      <textarea
+        value={template}
+        onChange={(e) => setTemplate(e.target.value)}
+        placeholder="Prompt text, with {{variables}} to fill in when it is used"
+        rows={5}
+        className="w-full p-2 rounded-lg bg-zinc-800/60 outline-none resize-y"
+      />
+      {variables.length > 0 && (
+        <p className="text-xs text-gray-400">Asks for: {variables.join(", ")}</p>
+      )}
+      <select
+        value={model}
+        onChange={(e) => setModel(e.target.value)}
+        className="w-full p-2 rounded-lg bg-zinc-800/60 outline-none"
+      >
+        <option value="">The chat's model</option>
+        {availableModels.map((m) => (
+          <option key={m.name} value={m.name}>{m.name}</option>
+        ))}
+        {model && !availableModels.some((m) => m.name === model) && <option value={model}>{model}</option>}
+      </select>
+      <label className="flex items-center space-x-2">
+        <input type="checkbox" checked={showOptions} onChange={(e) => setShowOptions(e.target.checked)} />
+        <span>Override generation options</span>
+      </label>
+      {showOptions && <OptionFields draft={draft} onChange={setDraft} />}
+      <div className="flex justify-end space-x-2">
+        <button type="button" onClick={onDone} className="px-3 py-1 rounded hover:bg-zinc-700/60 transition duration-200">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={!cleanName || !template.trim()}
+          className="px-3 py-1 rounded bg-blue-500/60 hover:bg-blue-600/60 disabled:opacity-30 transition duration-200"
+        >
+          Save
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Saved prompts, used from the composer by typing `/name`
+const PromptLibrary = () => {
+  const prompts = useChatStore((state) => state.prompts);
+  const deletePrompt = useChatStore((state) => state.deletePrompt);
+  // The prompt being edited, EMPTY_PROMPT for a new one
+  const [editing, setEditing] = useState(null);
+
+  return (
+    <div className="mb-4 text-white">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-xl font-bold">Prompt Library</h2>
+        <button
+          onClick={() => setEditing(EMPTY_PROMPT)}
+          className="flex items-center bg-zinc-700/60 hover:bg-zinc-600/60 py-1 px-3 rounded"
+        >
+          <FaPlus className="mr-2" /> New
+        </button>
+      </div>
+      <p className="mb-2 text-sm text-gray-300">Type / in a chat to use one.</p>
+
+      {editing === EMPTY_PROMPT && <PromptEditor prompt={EMPTY_PROMPT} onDone={() => setEditing(null)} />}
+
+      <ul className="space-y-2 mt-2">
+        {prompts.map((prompt) =>
+          editing?.id === prompt.id ? (
+            <li key={prompt.id}>
+              <PromptEditor prompt={prompt} onDone={() => setEditing(null)} />
+            </li>
+          ) : (
+            <li key={prompt.id} className="flex items-start justify-between px-3 py-2 rounded-lg bg-zinc-700/40">
+              <div className="min-w-0">
+                <span className="font-mono">/{prompt.name}</span>
+                {prompt.model && <span className="ml-2 text-xs text-gray-400">{prompt.model}</span>}
+                <div className="text-xs text-gray-400 truncate">{prompt.template}</div>
+              </div>
+              <div className="flex space-x-2 ml-2 text-gray-300">
+                <button onClick={() => setEditing(prompt)} title="Edit" className="hover:text-white">
+                  <FaEdit />
+                </button>
+                <button onClick={() => deletePrompt(prompt.id)} title="Delete" className="hover:text-red-300">
+                  <FaTrash />
+                </button>
+              </div>
+            </li>
+          ),
+        )}
+      </ul>
+    </div>
+  );
+};
+
+export default PromptLibrary;
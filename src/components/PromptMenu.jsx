@@ -0,0 +1,20 @@
+// Autocomplete list shown above the composer while typing `/name`
+const PromptMenu = ({ prompts, selected, onPick, onHover }) => (
+  <ul className="absolute bottom-full left-0 right-0 mb-2 max-h-64 overflow-y-auto rounded-lg bg-zinc-900/90 backdrop-blur-2xl border border-white/20 text-white text-sm z-20">
+    {prompts.map((prompt, index) => (
+      <li
+        key={prompt.id}
+        // mousedown, so the input keeps focus
+        onMouseDown={(e) => { e.preventDefault(); onPick(prompt); }}
+        onMouseEnter={() => onHover(index)}
+        className={`px-4 py-2 cursor-pointer ${index === selected ? "bg-zinc-700/70" : ""}`}
+      >
+        <span className="font-mono">/{prompt.name}</span>
+        {prompt.model && <span className="ml-2 text-xs text-gray-400">{prompt.model}</span>}
+        <div className="text-xs text-gray-400 truncate">{prompt.template}</div>
+      </li>
+    ))}
+  </ul>
+);
+
+export default PromptMenu;
@@ -0,0 +1,61 @@
+import { useState } from "react";
+import { FaTimes } from "react-icons/fa";
+
+import { fillTemplate, templateVariables } from "../prompts";
+
+// Asks for the `{{variables}}` of a library prompt, then hands back the
+// filled-in text. While `busy` (a reply is being generated) it can be filled
+// in but not sent.
+const PromptVariablesForm = ({ prompt, onSubmit, onCancel, busy }) => {
+  const variables = templateVariables(prompt.template);
+  const [values, setValues] = useState({});
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (busy) return;
+    onSubmit(fillTemplate(prompt.template, values));
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      onKeyDown={(e) => e.key === "Escape" && onCancel()}
+      className="mt-4 p-4 rounded-lg bg-gray-900/70 backdrop-blur-2xl text-white text-sm space-y-3"
+    >
+      <div className="flex items-center justify-between">
+        <span className="font-mono font-bold">/{prompt.name}</span>
+        <button type="button" onClick={onCancel} className="text-gray-300 hover:text-white">
+          <FaTimes />
+        </button>
+      </div>
+      {variables.map((name, index) => (
+        <div key={name}>
+          <label className="block mb-1 text-gray-200">{name}</label>
+          <textarea
+            value={values[name] ?? ""}
+            onChange={(e) => setValues({ ...values, [name]: e.target.value })}
+            onKeyDown={(e) => {
+              // Enter sends, Shift+Enter adds a line
+              if (e.key === "Enter" && !e.shiftKey) handleSubmit(e);
+            }}
+            rows={2}
+            autoFocus={index === 0}
+            className="w-full p-2 rounded-lg bg-zinc-800/60 outline-none resize-y"
+          />
+        </div>
+      ))}
+      <div className="flex justify-end">
+        <button
+          type="submit"
+          disabled={busy}
+          title={busy ? "Wait for the current reply to finish" : undefined}
+          className="px-4 py-1 rounded bg-blue-500/60 hover:bg-blue-600/60 disabled:opacity-30 transition duration-200"
+        >
+          Send
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default PromptVariablesForm;
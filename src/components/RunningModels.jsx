@@ -0,0 +1,110 @@
+import { useCallback, useEffect, useState } from "react";
+import { FaEject } from "react-icons/fa";
+
+import { useChatStore } from "../store";
+import { formatBytes } from "./ModelManager";
+
+const POLL_INTERVAL = 5000;
+// Models kept loaded for good report an expiry centuries away
+const FOREVER_MS = 365 * 24 * 3600 * 1000;
+
+const formatCountdown = (ms) => {
+  if (ms <= 0) return "unloading";
+  if (ms > FOREVER_MS) return "kept loaded";
+  const seconds = Math.floor(ms / 1000);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `unloads in ${hours ? `${hours}:${pad(minutes)}` : minutes}:${pad(seconds % 60)}`;
+};
+
+const RunningModelRow = ({ model, now, onUnload }) => {
+  const vram = model.size_vram ?? 0;
+  const ram = Math.max(model.size - vram, 0);
+  const gpuShare = model.size ? Math.round((vram / model.size) * 100) : 0;
+
+  return (
+    <li className="p-2 rounded-lg bg-zinc-700/40 text-sm">
+      <div className="flex items-center justify-between">
+        <span className="font-bold">{model.name}</span>
+        <button onClick={onUnload} title="Unload from memory" className="text-gray-300 hover:text-white">
+          <FaEject />
+        </button>
+      </div>
+      <div className="flex justify-between text-gray-300">
+        <span>
+          {formatBytes(model.size)} — {vram ? `${formatBytes(vram)} VRAM` : ""}
+          {vram > 0 && ram > 0 ? " + " : ""}
+          {ram ? `${formatBytes(ram)} RAM` : ""}
+        </span>
+        <span>{formatCountdown(Date.parse(model.expires_at) - now)}</span>
+      </div>
+      <div className="mt-1 h-1.5 rounded bg-zinc-800/60 overflow-hidden" title={`${gpuShare}% on the GPU`}>
+        <div className="h-full bg-green-400/70" style={{ width: `${gpuShare}%` }} />
+      </div>
+    </li>
+  );
+};
+
+// What Ollama has in memory right now, refreshed while the panel is open
+const RunningModels = () => {
+  const fetchRunningModels = useChatStore((state) => state.fetchRunningModels);
+  const unloadModel = useChatStore((state) => state.unloadModel);
+  const preloadOnOpen = useChatStore((state) => state.preloadOnOpen);
+  const updateServerSettings = useChatStore((state) => state.updateServerSettings);
+  const [models, setModels] = useState([]);
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  const refresh = useCallback(async () => {
+    try {
+      setModels(await fetchRunningModels());
+      setError(null);
+    } catch (e) {
+      setModels([]);
+      setError(e.message);
+    }
+  }, [fetchRunningModels]);
+
+  useEffect(() => {
+    refresh();
+    const poll = setInterval(refresh, POLL_INTERVAL);
+    const tick = setInterval(() => setNow(Date.now()), 1000);
+    return () => {
+      clearInterval(poll);
+      clearInterval(tick);
+    };
+  }, [refresh]);
+
+  const handleUnload = async (name) => {
+    try {
+      await unloadModel(name);
+    } catch (e) {
+      setError(e.message);
+    }
+    refresh();
+  };
+
+  return (
+    <div className="text-white">
+      <h2 className="text-xl font-bold mb-2">Loaded Models</h2>
+      {error && <div className="mb-2 text-sm text-red-300">{error}</div>}
+      <ul className="flex flex-col gap-2">
+        {models.map((model) => (
+          <RunningModelRow key={model.name} model={model} now={now} onUnload={() => handleUnload(model.name)} />
+        ))}
+        {models.length === 0 && !error && <div className="text-sm text-gray-300">No models in memory</div>}
+      </ul>
+      <label className="flex items-center space-x-2 mt-2">
+        <input
+          type="checkbox"
+          checked={preloadOnOpen}
+          onChange={(e) => updateServerSettings({ preloadOnOpen: e.target.checked })}
+        />
+        <span>Load a chat's model when the chat is opened</span>
+      </label>
+    </div>
+  );
+};
+
+export default RunningModels;
@@ -0,0 +1,112 @@
+import { useEffect, useRef } from "react";
+
+import { useChatStore } from "../store";
+import { clearLogs, startServer, stopServer, useServerStore } from "../ollamaServer";
+
+const STREAM_COLORS = { stdout: "text-gray-200", stderr: "text-gray-300", app: "text-blue-300" };
+
+// Server output, following the end unless scrolled up
+const LogViewer = () => {
+  const logs = useServerStore((state) => state.logs);
+  const ref = useRef(null);
+  const following = useRef(true);
+
+  useEffect(() => {
+    if (following.current && ref.current) ref.current.scrollTop = ref.current.scrollHeight;
+  }, [logs]);
+
+  const handleScroll = () => {
+    const el = ref.current;
+    following.current = el.scrollHeight - el.scrollTop - el.clientHeight < 20;
+  };
+
+  return (
+    <div
+      ref={ref}
+      onScroll={handleScroll}
+      className="h-64 overflow-y-auto p-2 rounded-lg bg-zinc-950/70 font-mono text-xs"
+    >
+      {logs.map((entry, index) => (
+        <div key={index} className={`whitespace-pre-wrap ${STREAM_COLORS[entry.stream] ?? ""}`}>
+          {entry.line}
+        </div>
+      ))}
+      {logs.length === 0 && <div className="text-gray-400">No output yet. Output appears once the app starts Ollama.</div>}
+    </div>
+  );
+};
+
+// Start/stop, status, startup options and logs of the Ollama server
+const ServerControls = () => {
+  const running = useServerStore((state) => state.running);
+  const managed = useServerStore((state) => state.managed);
+  const starting = useServerStore((state) => state.starting);
+  const error = useServerStore((state) => state.error);
+  const ollamaAutoStart = useChatStore((state) => state.ollamaAutoStart);
+  const ollamaAutoRestart = useChatStore((state) => state.ollamaAutoRestart);
+  const updateServerSettings = useChatStore((state) => state.updateServerSettings);
+
+  return (
+    <div className="text-white">
+      {/* Ollama Server Status */}
+      <div className="mb-4">
+        <h2 className="text-xl font-bold mb-2">Ollama Server Status</h2>
+        <p className={`text-lg ${running ? "text-green-200" : "text-red-300"}`}>
+          {starting ? "Starting..." : running ? "Running" : "Not Running"}
+          {running && !managed && <span className="ml-2 text-sm text-gray-300">(started outside the app)</span>}
+        </p>
+        {error && <p className="mt-1 text-sm text-red-300">⚠️ {error}</p>}
+      </div>
+
+      {/* Start/Stop Ollama Server */}
+      <div className="mb-4 flex space-x-4">
+        <button
+          onClick={startServer}
+          disabled={running || starting}
+          className="bg-green-500/70 hover:bg-green-500/80 disabled:opacity-30 transition duration-300 text-white font-bold py-2 px-4 rounded"
+        >
+          Start Ollama
+        </button>
+        <button
+          onClick={stopServer}
+          disabled={!managed}
+          title={managed ? undefined : "Only a server started by the app can be stopped here"}
+          className="bg-red-500/70 hover:bg-red-500/80 disabled:opacity-30 transition duration-300 text-white font-bold py-2 px-4 rounded"
+        >
+          Stop Ollama
+        </button>
+      </div>
+
+      <div className="mb-4 space-y-1">
+        <label className="flex items-center space-x-2">
+          <input
+            type="checkbox"
+            checked={ollamaAutoStart}
+            onChange={(e) => updateServerSettings({ ollamaAutoStart: e.target.checked })}
+          />
+          <span>Start Ollama when the app opens</span>
+        </label>
+        <label className="flex items-center space-x-2">
+          <input
+            type="checkbox"
+            checked={ollamaAutoRestart}
+            onChange={(e) => updateServerSettings({ ollamaAutoRestart: e.target.checked })}
+          />
+          <span>Restart Ollama if it crashes</span>
+        </label>
+      </div>
+
+      <div className="mb-4">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-xl font-bold">Server Logs</h2>
+          <button onClick={clearLogs} className="text-sm text-gray-300 hover:text-white">
+            Clear
+          </button>
+        </div>
+        <LogViewer />
+      </div>
+    </div>
+  );
+};
+
+export default ServerControls;
@@ -0,0 +1,29 @@
+import { Link } from "wouter";
+
+import { useServerStore } from "../ollamaServer";
+
+// Sidebar indicator of whether Ollama answers, linking to its settings
+const ServerStatusBadge = () => {
+  const running = useServerStore((state) => state.running);
+  const starting = useServerStore((state) => state.starting);
+
+  const [color, label] = starting
+    ? ["bg-yellow-300 animate-pulse", "Ollama starting"]
+    : running
+      ? ["bg-green-400", "Ollama running"]
+      : running === false
+        ? ["bg-red-400", "Ollama stopped"]
+        : ["bg-gray-400", "Checking Ollama"];
+
+  return (
+    <Link
+      href="/settings?tab=ollama"
+      className="px-4 py-2 flex items-center text-sm text-gray-200 hover:bg-zinc-700/60 rounded transition duration-200"
+    >
+      <span className={`mr-2 h-2.5 w-2.5 rounded-full ${color}`} />
+      {label}
+    </Link>
+  );
+};
+
+export default ServerStatusBadge;
@@ -0,0 +1,71 @@
+import { useState } from "react";
+
+import { useChatStore } from "../store";
+import { SHORTCUT_ACTIONS, comboFor, comboFromEvent, formatCombo } from "../shortcuts";
+
+// Rebind shortcuts: click a binding, then press the new combo
+const ShortcutSettings = () => {
+  const shortcuts = useChatStore((state) => state.shortcuts);
+  const setShortcut = useChatStore((state) => state.setShortcut);
+  const resetShortcut = useChatStore((state) => state.resetShortcut);
+  // Action waiting for its new combo
+  const [recording, setRecording] = useState(null);
+
+  const handleKeyDown = (e, actionId) => {
+    // Keep the combo from triggering the shortcut it is being bound to
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.key === "Escape" && !e.shiftKey) {
+      setRecording(null);
+      return;
+    }
+    const combo = comboFromEvent(e);
+    if (!combo) return;
+    setShortcut(actionId, combo);
+    setRecording(null);
+  };
+
+  return (
+    <div className="mb-4 text-white">
+      <h2 className="text-xl font-bold mb-2">Keyboard Shortcuts</h2>
+      <ul className="space-y-1">
+        {SHORTCUT_ACTIONS.map(({ id, label, combo: defaultCombo }) => {
+          const combo = comboFor(shortcuts, id);
+          const conflict = SHORTCUT_ACTIONS.find(
+            (other) => other.id !== id && comboFor(shortcuts, other.id) === combo,
+          );
+          return (
+            <li key={id} className="flex items-center justify-between px-3 py-2 rounded-lg bg-zinc-700/40">
+              <span>
+                {label}
+                {conflict && <span className="ml-2 text-xs text-yellow-200">also bound to {conflict.label}</span>}
+              </span>
+              <span className="flex items-center space-x-2">
+                <button
+                  onClick={() => setRecording(id)}
+                  onKeyDown={recording === id ? (e) => handleKeyDown(e, id) : undefined}
+                  onBlur={() => setRecording(null)}
+                  className={`min-w-24 px-2 py-1 rounded font-mono text-sm ${
+                    recording === id ? "bg-blue-500/60 animate-pulse" : "bg-zinc-800/60 hover:bg-zinc-600/60"
+                  }`}
+                >
+                  {recording === id ? "Press keys…" : formatCombo(combo)}
+                </button>
+                <button
+                  onClick={() => resetShortcut(id)}
+                  disabled={combo === defaultCombo}
+                  className="text-xs text-gray-300 hover:text-white disabled:opacity-30"
+                >
+                  Reset
+                </button>
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+      <p className="mt-2 text-xs text-gray-400">Click a shortcut and press the new keys. Esc cancels.</p>
+    </div>
+  );
+};
+
+export default ShortcutSettings;
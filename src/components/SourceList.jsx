@@ -0,0 +1,49 @@
+// One document chunk, under the number the model was told to cite it by
+const Source = ({ source, number }) => (
+  <li>
+    <details className="rounded-lg border border-white/20 bg-zinc-900/40">
+      <summary className="px-3 py-1 cursor-pointer select-none">
+        [{number}] {source.documentName}
+        <span className="ml-2 text-xs text-gray-400">{(source.score * 100).toFixed(0)}% match</span>
+      </summary>
+      <p className="px-3 pb-2 whitespace-pre-wrap text-xs text-gray-200">{source.text}</p>
+    </details>
+  </li>
+);
+
+// Document chunks a reply was given: the ones its answer cites, then the
+// rest of what was retrieved. Replies from before citations were tracked
+// list every chunk as a source.
+const SourceList = ({ sources }) => {
+  const numbered = sources.map((source, index) => ({ source, number: source.number ?? index + 1 }));
+  const cited = numbered.filter(({ source }) => source.cited !== false);
+  const uncited = numbered.filter(({ source }) => source.cited === false);
+
+  return (
+    <details className="mt-2 text-sm">
+      <summary className="cursor-pointer select-none text-gray-300 hover:text-white">
+        Sources ({cited.length})
+        {uncited.length > 0 && <span className="ml-1 text-xs text-gray-400">+{uncited.length} also retrieved</span>}
+      </summary>
+      {cited.length > 0 && (
+        <ol className="mt-1 space-y-1">
+          {cited.map(({ source, number }) => (
+            <Source key={source.chunkId} source={source} number={number} />
+          ))}
+        </ol>
+      )}
+      {uncited.length > 0 && (
+        <>
+          <div className="mt-2 text-xs text-gray-400">Also retrieved, not cited</div>
+          <ol className="mt-1 space-y-1 opacity-70">
+            {uncited.map(({ source, number }) => (
+              <Source key={source.chunkId} source={source} number={number} />
+            ))}
+          </ol>
+        </>
+      )}
+    </details>
+  );
+};
+
+export default SourceList;
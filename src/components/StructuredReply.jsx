@@ -0,0 +1,52 @@
+import { useState } from "react";
+import { FaRedo } from "react-icons/fa";
+
+import { useChatStore } from "../store";
+import { parseReply } from "../structuredOutput";
+import JsonTree from "./JsonTree";
+
+// A finished reply of a chat with a JSON schema: a tree view when it
+// matches, the schema errors and a retry when it doesn't
+const StructuredReply = ({ chatId, msg, busy }) => {
+  const retryFormat = useChatStore((state) => state.retryFormat);
+  const [showRaw, setShowRaw] = useState(false);
+  const valid = msg.formatErrors.length === 0;
+
+  return (
+    <div>
+      {valid && !showRaw ? (
+        <JsonTree value={parseReply(msg.text)} />
+      ) : (
+        <pre className="p-2 rounded bg-zinc-900/60 text-sm overflow-x-auto whitespace-pre-wrap">{msg.text}</pre>
+      )}
+
+      {!valid && (
+        <div className="mt-2 p-2 rounded-lg bg-red-500/10 border border-red-400/40 text-sm">
+          <div className="text-red-300 font-semibold">Reply does not match the schema</div>
+          <ul className="list-disc list-inside text-red-200">
+            {msg.formatErrors.map(({ path, message }, index) => (
+              <li key={index}>
+                <span className="font-mono">{path}</span> {message}
+              </li>
+            ))}
+          </ul>
+          <button
+            onClick={() => retryFormat(chatId, msg.id)}
+            disabled={busy}
+            className="mt-2 flex items-center px-3 py-1 rounded bg-zinc-700/60 hover:bg-zinc-600/60 disabled:opacity-30 transition duration-200"
+          >
+            <FaRedo className="mr-2" /> Retry with these errors
+          </button>
+        </div>
+      )}
+
+      {valid && (
+        <button onClick={() => setShowRaw(!showRaw)} className="mt-1 text-xs text-gray-400 hover:text-white">
+          {showRaw ? "Show tree" : "Show raw JSON"}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default StructuredReply;
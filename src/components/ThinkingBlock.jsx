@@ -0,0 +1,60 @@
+import { useEffect, useRef, useState } from "react";
+import { FaChevronDown, FaChevronRight } from "react-icons/fa";
+
+import { thinkingStreamId } from "../store";
+import { useStreamStore } from "../streamStore";
+import { formatDuration } from "../metrics";
+
+// A reply's reasoning, folded away under how long it took. While the model
+// is still thinking it streams in open, unless the block was toggled by hand.
+const ThinkingBlock = ({ msg, isStreaming }) => {
+  const streamId = thinkingStreamId(msg.id);
+  const streamedText = useStreamStore((state) => (isStreaming ? state.texts[streamId] : undefined));
+  const time = useStreamStore((state) => (isStreaming ? state.progress[streamId] : undefined));
+  const text = (streamedText ?? msg.thinking ?? "").trim();
+  const isThinking = isStreaming && Boolean(time) && !time.endedAt;
+  // null follows the stream: open while thinking, closed once answering
+  const [open, setOpen] = useState(null);
+  const [, setTick] = useState(0);
+  const bodyRef = useRef(null);
+
+  useEffect(() => {
+    if (!isThinking) return;
+    const timer = setInterval(() => setTick((tick) => tick + 1), 100);
+    return () => clearInterval(timer);
+  }, [isThinking]);
+
+  useEffect(() => {
+    if (isThinking && bodyRef.current) bodyRef.current.scrollTop = bodyRef.current.scrollHeight;
+  }, [isThinking, text]);
+
+  if (!text) return null;
+
+  const durationMs = time ? (time.endedAt ?? Date.now()) - time.startedAt : msg.thinkingDuration;
+  const expanded = open ?? isThinking;
+
+  return (
+    <div className="mb-2">
+      <button
+        onClick={() => setOpen(!expanded)}
+        className="flex items-center text-xs text-gray-300 hover:text-white"
+      >
+        {expanded ? <FaChevronDown className="mr-1" /> : <FaChevronRight className="mr-1" />}
+        <span className={isThinking ? "animate-pulse" : ""}>
+          {isThinking ? "Thinking…" : "Thought"}
+          {durationMs > 0 && ` ${isThinking ? "" : "for "}${formatDuration(durationMs * 1e6)}`}
+        </span>
+      </button>
+      {expanded && (
+        <div
+          ref={bodyRef}
+          className="mt-1 pl-3 max-h-64 overflow-y-auto border-l-2 border-white/20 text-sm text-gray-300 whitespace-pre-wrap"
+        >
+          {text}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ThinkingBlock;
@@ -0,0 +1,62 @@
+import Markdown from "react-markdown";
+import rehypeHighlight from "rehype-highlight";
+import { FaExclamationTriangle, FaWrench } from "react-icons/fa";
+
+const formatArguments = (args) =>
+  Object.entries(args ?? {})
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+    .join(", ");
+
+// One tool call: collapsed to its name and arguments, expanding to the result
+const ToolCallCard = ({ call }) => {
+  const pending = call.result === undefined && call.error === undefined;
+
+  return (
+    <details
+      className={`my-1 rounded-lg border text-sm ${
+        call.error ? "border-red-400/40 bg-red-500/10" : "border-white/20 bg-zinc-900/40"
+      }`}
+    >
+      <summary className="flex items-center space-x-2 px-3 py-1.5 cursor-pointer select-none">
+        {call.error ? <FaExclamationTriangle className="text-red-300" /> : <FaWrench className="text-gray-300" />}
+        <span className="font-mono">{call.name}</span>
+        <span className="flex-1 truncate font-mono text-xs text-gray-400">{formatArguments(call.arguments)}</span>
+        {pending && <span className="text-xs text-gray-400 animate-pulse">running…</span>}
+      </summary>
+      <div className="px-3 pb-2 space-y-2">
+        <div>
+          <div className="text-xs text-gray-400">Arguments</div>
+          <pre className="p-2 rounded bg-zinc-900/60 text-xs overflow-x-auto">
+            {JSON.stringify(call.arguments ?? {}, null, 2)}
+          </pre>
+        </div>
+        {!pending && (
+          <div>
+            <div className="text-xs text-gray-400">{call.error ? "Error" : "Result"}</div>
+            <pre
+              className={`p-2 rounded bg-zinc-900/60 text-xs overflow-x-auto max-h-64 whitespace-pre-wrap ${
+                call.error ? "text-red-300" : ""
+              }`}
+            >
+              {call.error ?? call.result}
+            </pre>
+          </div>
+        )}
+      </div>
+    </details>
+  );
+};
+
+// The tool rounds of a reply: any text the model wrote before calling
+// tools, then a card per call
+const ToolCalls = ({ rounds }) =>
+  rounds.map((round, index) => (
+    <div key={index} className="mb-2">
+      {round.content && <Markdown rehypePlugins={[rehypeHighlight]}>{round.content}</Markdown>}
+      {round.calls.map((call, callIndex) => (
+        <ToolCallCard key={callIndex} call={call} />
+      ))}
+    </div>
+  ));
+
+export default ToolCalls;
@@ -0,0 +1,111 @@
+// Context-window bookkeeping: how big the window is, how much of it a
+// history takes, and which messages to send once it gets full.
+
+export const CONTEXT_STRATEGIES = [
+  { key: "none", label: "Off", description: "Send the whole history and let Ollama truncate it" },
+  { key: "window", label: "Sliding window", description: "Drop the oldest messages" },
+  { key: "pinned", label: "Pinned + window", description: "Keep pinned messages, drop the oldest others" },
+  { key: "summarize", label: "Summarize", description: "Replace the oldest messages with a summary" },
+];
+
+export const DEFAULT_CONTEXT_STRATEGY = "window";
+
+// Share of the window the history may fill, leaving room for the reply
+const HISTORY_SHARE = 0.75;
+
+// Ollama's `num_ctx` when neither the request nor the Modelfile sets one
+// (older versions used 2048)
+export const OLLAMA_DEFAULT_NUM_CTX = 4096;
+
+// The context length the model was trained with, the most a window can hold
+export function getTrainedContextLength(info) {
+  const key = Object.keys(info?.model_info ?? {}).find((k) => k.endsWith(".context_length"));
+  return key ? info.model_info[key] : null;
+}
+
+// The window set for these request `options`: their `num_ctx` or the
+// model's `num_ctx` parameter, capped at the trained length. Null when
+// neither sets one, as the server's own default (OLLAMA_CONTEXT_LENGTH)
+// can't be read.
+export function getKnownContextLimit(options, info) {
+  const fromParameters = info?.parameters?.match(/^num_ctx\s+(\d+)/m);
+  const numCtx = options?.num_ctx || (fromParameters ? Number(fromParameters[1]) : null);
+  if (!numCtx) return null;
+  const trained = getTrainedContextLength(info);
+  return trained ? Math.min(numCtx, trained) : numCtx;
+}
+
+// The window Ollama most likely runs the model with, assuming its default
+// when nothing sets one
+export function getContextLimit(options, info) {
+  const trained = getTrainedContextLength(info);
+  const fallback = trained ? Math.min(OLLAMA_DEFAULT_NUM_CTX, trained) : OLLAMA_DEFAULT_NUM_CTX;
+  return getKnownContextLimit(options, info) ?? fallback;
+}
+
+export const estimateTextTokens = (text) => Math.ceil((text?.length ?? 0) / 4);
+
+// Tool calls and their results that are sent along with a reply
+const toolRoundTokens = (msg) =>
+  (msg.toolRounds ?? []).reduce(
+    (sum, { content, calls }) =>
+      sum +
+      estimateTextTokens(content) +
+      calls.reduce(
+        (callSum, call) =>
+          callSum + estimateTextTokens(JSON.stringify(call.arguments) + (call.result ?? call.error ?? "")),
+        0,
+      ),
+    0,
+  );
+
+// Replies know their exact length from Ollama; anything else is estimated
+// at roughly four characters per token
+export function estimateTokens(msg) {
+  if (msg.sender === "ai" && msg.metrics?.eval_count) return msg.metrics.eval_count + toolRoundTokens(msg);
+  return Math.ceil((msg.text?.length ?? 0) / 4) + (msg.images?.length ?? 0) * 768 + toolRoundTokens(msg);
+}
+
+export const sumTokens = (messages) =>
+  messages.reduce((sum, msg) => sum + estimateTokens(msg), 0);
+
+// Budget for the history once the system prompt is accounted for
+export const historyBudget = (limit, systemPrompt) =>
+  Math.floor(limit * HISTORY_SHARE) - estimateTextTokens(systemPrompt);
+
+// Newest messages that fit in `budget`, always including the last one
+export function fitWindow(history, budget) {
+  let used = 0;
+  let start = history.length;
+  while (start > 0) {
+    const cost = estimateTokens(history[start - 1]);
+    if (used + cost > budget && start < history.length) break;
+    used += cost;
+    start -= 1;
+  }
+  return history.slice(start);
+}
+
+// Pinned messages plus the newest others that fit in what is left
+export function fitPinned(history, budget) {
+  const last = history[history.length - 1];
+  const pinned = history.filter((msg) => msg.pinned && msg !== last);
+  const rest = history.filter((msg) => !msg.pinned || msg === last);
+  const kept = new Set([...pinned, ...fitWindow(rest, budget - sumTokens(pinned))]);
+  return history.filter((msg) => kept.has(msg));
+}
+
+export function buildSummaryPrompt(previousSummary, messages) {
+  const transcript = messages
+    .map((m) => `${m.sender === "user" ? "User" : "Assistant"}: ${m.text}`)
+    .join("\n\n");
+
+  return [
+    "Summarize the conversation below so it can replace it as context for the rest of the chat.",
+    "Keep facts, names, numbers, decisions, code identifiers and open questions. Be concise. Reply with the summary only.",
+    previousSummary && `Summary of what came before:\n${previousSummary}`,
+    `Conversation:\n${transcript}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
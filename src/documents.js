@@ -0,0 +1,124 @@
+// Documents attached to a chat for retrieval: reading files as text,
+// splitting them into chunks, and finding the chunks closest to a question.
+
+// Used until a chat picks its own embedding model
+export const DEFAULT_EMBEDDING_MODEL = "nomic-embed-text";
+export const DEFAULT_TOP_K = 4;
+
+// Chunks of roughly this many characters, overlapping so a sentence cut at
+// a boundary still shows up whole in one of them
+const CHUNK_SIZE = 1200;
+const CHUNK_OVERLAP = 200;
+
+const TEXT_EXTENSIONS = new Set([
+  "txt", "md", "markdown", "rst", "csv", "tsv", "json", "yaml", "yml", "toml", "xml", "html", "css",
+  "js", "jsx", "ts", "tsx", "mjs", "cjs", "py", "rb", "rs", "go", "java", "kt", "c", "h", "cpp", "hpp",
+  "cs", "php", "swift", "sh", "sql", "lua", "ini", "conf", "log",
+]);
+
+const extension = (name) => name.split(".").pop().toLowerCase();
+
+const isPdf = (file) => file.type === "application/pdf" || extension(file.name) === "pdf";
+
+// `accept` for file inputs taking documents
+export const DOCUMENT_ACCEPT = ["text/*", ".pdf", ...[...TEXT_EXTENSIONS].map((ext) => `.${ext}`)].join(",");
+
+export const isDocumentFile = (file) =>
+  isPdf(file) || file.type.startsWith("text/") || TEXT_EXTENSIONS.has(extension(file.name));
+
+// pdf.js is large, so it is only loaded once a PDF is attached
+async function readPdfText(file) {
+  const [pdfjs, { default: workerSrc }] = await Promise.all([
+    import("pdfjs-dist"),
+    import("pdfjs-dist/build/pdf.worker.min.mjs?url"),
+  ]);
+  pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+  const pages = [];
+  for (let n = 1; n <= pdf.numPages; n++) {
+    const page = await pdf.getPage(n);
+    const { items } = await page.getTextContent();
+    pages.push(items.map((item) => item.str + (item.hasEOL ? "\n" : "")).join(""));
+  }
+  return pages.join("\n\n");
+}
+
+export const readDocumentText = (file) => (isPdf(file) ? readPdfText(file) : file.text());
+
+// Split text into overlapping chunks, preferring to cut at paragraph, line
+// or sentence ends
+export function chunkText(text) {
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(start + CHUNK_SIZE, text.length);
+    if (end < text.length) {
+      const tail = text.slice(start + CHUNK_SIZE / 2, end);
+      const cut = Math.max(tail.lastIndexOf("\n\n"), tail.lastIndexOf("\n"), tail.lastIndexOf(". "));
+      if (cut >= 0) end = start + CHUNK_SIZE / 2 + cut + 1;
+    }
+    const chunk = text.slice(start, end).trim();
+    if (chunk) chunks.push(chunk);
+    if (end >= text.length) break;
+    start = Math.max(end - CHUNK_OVERLAP, start + 1);
+  }
+  return chunks;
+}
+
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// The `k` chunks across `documents` closest to `vector`, with their scores.
+// Documents embedded with another model can't be compared and are skipped.
+export function topChunks(documents, vector, k, embeddingModel) {
+  return documents
+    .filter((doc) => doc.embeddingModel === embeddingModel)
+    .flatMap((doc) =>
+      doc.chunks.map((chunk) => ({
+        documentId: doc.id,
+        documentName: doc.name,
+        chunkId: chunk.id,
+        text: chunk.text,
+        score: cosineSimilarity(vector, chunk.vector),
+      })),
+    )
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+}
+
+// System message handing the retrieved chunks to the model, numbered so the
+// answer can cite them
+export const buildSourcesMessage = (sources) =>
+  [
+    "Answer using the excerpts from the user's documents below when they are relevant, and cite them by number like [1].",
+    ...sources.map((source, index) => `[${index + 1}] ${source.documentName}:\n${source.text}`),
+  ].join("\n\n");
+
+// Numbers of the sources an answer cites, from markers like [2] or [1, 3].
+// Numbers that don't belong to a source are ignored.
+export function citedNumbers(text, count) {
+  const cited = new Set();
+  for (const [, list] of text.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    for (const number of list.split(",").map(Number)) {
+      if (number >= 1 && number <= count) cited.add(number);
+    }
+  }
+  return cited;
+}
+
+// The sources as stored on a reply: numbered as the model saw them, and
+// marked with whether the answer cited them
+export const markCitedSources = (sources, text) => {
+  const cited = citedNumbers(text, sources.length);
+  return sources.map((source, index) => ({ ...source, number: index + 1, cited: cited.has(index + 1) }));
+};
@@ -0,0 +1,75 @@
+// Failed Ollama requests as data: what went wrong (`kind`), the HTTP status
+// and the error text Ollama sent, so the UI can explain it and offer a fix.
+
+// Waits before each automatic retry of a dropped connection
+export const RETRY_DELAYS = [1000, 2000, 4000];
+
+export class OllamaError extends Error {
+  // kind: "connection" (Ollama unreachable or the stream cut off),
+  // "model_not_found", "http" (any other error status), "stream" (an error
+  // sent in the middle of a response) or "unknown". `model` is the model the
+  // request was for, which need not be the chat's (e.g. an embedding model).
+  constructor(kind, message, { status = null, body = null, model = null } = {}) {
+    super(message);
+    this.name = "OllamaError";
+    this.kind = kind;
+    this.status = status;
+    this.body = body;
+    this.model = model;
+  }
+}
+
+// The error for a response that isn't ok, with Ollama's `{ error }` body
+export async function responseError(response, fallback, model = null) {
+  const text = await response.text().catch(() => "");
+  let body = text || null;
+  try {
+    body = JSON.parse(text).error ?? body;
+  } catch {
+    // Not JSON, keep the raw text
+  }
+
+  const kind = response.status === 404 && /not found/i.test(body ?? "") ? "model_not_found" : "http";
+  return new OllamaError(kind, body ?? `${fallback} (HTTP ${response.status})`, {
+    status: response.status,
+    body,
+    model,
+  });
+}
+
+// A failure of fetch, or of reading a response body, as a connection error:
+// the server can't be reached or dropped the connection. Aborts are passed
+// on untouched.
+export const asConnectionError = (error, model = null) =>
+  error?.name === "AbortError"
+    ? error
+    : new OllamaError("connection", "Could not reach Ollama", { body: error?.message ?? String(error), model });
+
+// Plain object for an error, to store on a message or in state. Anything
+// that isn't an OllamaError, such as a bug in an event handler, is "unknown".
+export function toErrorInfo(error) {
+  if (error instanceof OllamaError) {
+    const { kind, message, status, body, model } = error;
+    return { kind, message, status, body, model };
+  }
+  return { kind: "unknown", message: error?.message ?? String(error), status: null, body: null };
+}
+
+// Failures worth retrying as-is: lost connections and an overloaded server
+export const isTransient = (info) => info.kind === "connection" || info.status === 503;
+
+// Resolves after `ms`, or rejects with an AbortError once `signal` aborts
+export function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      reject(new DOMException("Aborted", "AbortError"));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", abort);
+      resolve();
+    }, ms);
+    if (signal?.aborted) abort();
+    else signal?.addEventListener("abort", abort, { once: true });
+  });
+}
@@ -0,0 +1,130 @@
+import { createElement } from "react";
+import { renderToStaticMarkup } from "react-dom/server";
+import Markdown from "react-markdown";
+import rehypeHighlight from "rehype-highlight";
+
+import hljsCss from "./hljs.css?raw";
+import { getActivePath } from "./messageTree";
+import { imageSrc } from "./attachments";
+import { STATE_VERSION } from "./migrations";
+
+// Identifies our JSON exports; `version` is the state schema version the
+// chats were saved with, so imports can run them through the migrations.
+export const EXPORT_FORMAT = "native-llama";
+
+const senderLabel = (msg, chat) => (msg.sender === "user" ? "You" : msg.model ?? chat.model);
+
+const slugify = (title) =>
+  title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 60) || "chat";
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// Markdown of the selected branch of each chat
+export function toMarkdown(chats) {
+  return chats
+    .map((chat) => {
+      const header = [
+        `# ${chat.title}`,
+        "",
+        `*Model: ${chat.model} · Created: ${new Date(chat.createdAt).toLocaleString()}*`,
+      ];
+      if (chat.systemPrompt) header.push("", "> **System:** " + chat.systemPrompt.split("\n").join("\n> "));
+
+      const messages = getActivePath(chat).map((msg) => {
+        const lines = [`## ${senderLabel(msg, chat)}`, ""];
+        if (msg.images?.length) lines.push(`*[${msg.images.length} image(s) attached]*`, "");
+        lines.push(msg.text);
+        return lines.join("\n");
+      });
+
+      return [header.join("\n"), ...messages].join("\n\n");
+    })
+    .join("\n\n---\n\n");
+}
+
+// Full chats, every branch included, in our versioned format
+export function toJson(chats) {
+  return JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      version: STATE_VERSION,
+      exportedAt: new Date().toISOString(),
+      chats: chats.map((chat) => ({
+        ...chat,
+        messages: chat.messages.map(({ isStreaming, ...msg }) => msg),
+      })),
+    },
+    null,
+    2,
+  );
+}
+
+const renderMessage = (msg, chat) => `
+    <section class="message ${msg.sender}">
+      <div class="sender">${escapeHtml(senderLabel(msg, chat))}</div>
+      ${(msg.images ?? []).map((image) => `<img src="${escapeHtml(imageSrc(image))}" alt="${escapeHtml(image.name ?? "")}">`).join("")}
+      ${renderToStaticMarkup(createElement(Markdown, { rehypePlugins: [rehypeHighlight] }, msg.text))}
+    </section>`;
+
+// A single page with no external resources, code highlighted as in the app
+export function toHtml(chats) {
+  const title = chats.length === 1 ? chats[0].title : "Native Llama chats";
+  const body = chats
+    .map(
+      (chat) => `
+  <article>
+    <h1>${escapeHtml(chat.title)}</h1>
+    <p class="meta">Model: ${escapeHtml(chat.model)} · Created: ${escapeHtml(new Date(chat.createdAt).toLocaleString())}</p>
+    ${getActivePath(chat).map((msg) => renderMessage(msg, chat)).join("")}
+  </article>`,
+    )
+    .join("\n  <hr>");
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { margin: 0 auto; max-width: 48rem; padding: 2rem; font-family: system-ui, sans-serif; background: #18181b; color: #e4e4e7; }
+.meta { color: #a1a1aa; font-size: 0.875rem; }
+.message { margin: 1rem 0; padding: 0.75rem 1rem; border-radius: 0.75rem; background: #3f3f46; }
+.message.user { background: #1e3a5f; margin-left: 20%; }
+.sender { font-weight: bold; font-size: 0.8rem; color: #a1a1aa; margin-bottom: 0.25rem; }
+.message img { max-width: 20rem; max-height: 12rem; border-radius: 0.5rem; }
+pre { overflow-x: auto; border-radius: 0.5rem; }
+hr { border-color: #52525b; margin: 3rem 0; }
+${hljsCss}
+</style>
+</head>
+<body>${body}
+</body>
+</html>
+`;
+}
+
+const EXPORTERS = {
+  markdown: { render: toMarkdown, extension: "md", type: "text/markdown" },
+  json: { render: toJson, extension: "json", type: "application/json" },
+  html: { render: toHtml, extension: "html", type: "text/html" },
+};
+
+export const EXPORT_FORMATS = [
+  { key: "markdown", label: "Markdown" },
+  { key: "json", label: "JSON" },
+  { key: "html", label: "HTML" },
+];
+
+// Save chats as a file through the browser's download
+export function downloadChats(chats, format) {
+  const { render, extension, type } = EXPORTERS[format];
+  const name = chats.length === 1 ? slugify(chats[0].title) : `native-llama-${new Date().toISOString().slice(0, 10)}`;
+
+  const url = URL.createObjectURL(new Blob([render(chats)], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${name}.${extension}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url));
+}
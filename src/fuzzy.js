@@ -0,0 +1,31 @@
+// Fuzzy matching for the command palette: every character of the query
+// has to appear in order. Matches at word starts and runs of consecutive
+// characters score higher. Returns null when `text` doesn't match.
+export function fuzzyScore(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, "");
+  if (!q) return 0;
+  const t = text.toLowerCase();
+
+  let score = 0;
+  let run = 0;
+  let from = 0;
+  for (const char of q) {
+    const index = t.indexOf(char, from);
+    if (index < 0) return null;
+    run = index === from ? run + 1 : 1;
+    score += run * 2;
+    if (index === 0 || /[\s/\-_.:]/.test(t[index - 1])) score += 5;
+    from = index + 1;
+  }
+  // Prefer shorter texts when the rest is equal
+  return score - t.length * 0.01;
+}
+
+// `items` matching `query`, best first; `getText` gives what to match on
+export function fuzzyFilter(items, query, getText) {
+  return items
+    .map((item) => ({ item, score: fuzzyScore(query, getText(item)) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => b.score - a.score)
+    .map(({ item }) => item);
+}
@@ -0,0 +1,166 @@
+// zustand `persist` storage backed by IndexedDB.
+//
+// Each chat is its own record in the "chats" object store, so a write only
+// touches the chats that changed since the last one. Everything else in the
+// state goes into a single record in "meta", together with the persisted
+// state version and the order of the chats.
+
+const DB_NAME = "native-llama";
+const DB_VERSION = 1;
+
+// Object store layout per database version; UPGRADES[n] upgrades from version n
+const UPGRADES = [
+  (db) => {
+    db.createObjectStore("meta");
+    db.createObjectStore("chats", { keyPath: "id" });
+  },
+];
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const transactionDone = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new DOMException("Transaction aborted", "AbortError"));
+  });
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      for (let v = event.oldVersion; v < DB_VERSION; v++) {
+        UPGRADES[v](request.result);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// `onError` is called with the error of any failed write. Writes are batched
+// for `writeDelay` ms; call `flush()` to save right away.
+export function createIdbStorage({ onError, writeDelay = 0 } = {}) {
+  let dbPromise = null;
+  const db = () => (dbPromise ??= openDb());
+
+  // Chats as last written, compared by reference to find what changed
+  let written = new Map();
+  // localStorage key still holding data from before IndexedDB
+  let legacyKey = null;
+  // Writes wait until the saved state has been read, so a state change made
+  // during startup can't overwrite it with an empty one
+  let loaded = false;
+
+  // Writes run one at a time; only the latest pending state is kept
+  let pending = null;
+  let writing = null;
+  let timer = null;
+
+  const writeState = async (name, { state: { chats = [], ...state }, version }) => {
+    const tx = (await db()).transaction(["meta", "chats"], "readwrite");
+    const chatStore = tx.objectStore("chats");
+
+    tx.objectStore("meta").put(
+      { state, version, chatOrder: chats.map((chat) => chat.id) },
+      name,
+    );
+
+    const next = new Map();
+    for (const chat of chats) {
+      if (written.get(chat.id) !== chat) chatStore.put(chat);
+      next.set(chat.id, chat);
+    }
+    for (const id of written.keys()) {
+      if (!next.has(id)) chatStore.delete(id);
+    }
+
+    await transactionDone(tx);
+    written = next;
+
+    // The import is only complete once it made it into IndexedDB
+    if (legacyKey === name) {
+      localStorage.removeItem(name);
+      legacyKey = null;
+    }
+  };
+
+  const drain = async () => {
+    while (pending) {
+      const { name, value } = pending;
+      pending = null;
+      try {
+        await writeState(name, value);
+      } catch (error) {
+        console.error("Error saving chats:", error);
+        onError?.(error);
+      }
+    }
+    writing = null;
+  };
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (pending && loaded) writing ??= drain();
+    return writing;
+  };
+
+  // A write queued during startup goes out on the usual delay; the state
+  // zustand saves right after hydrating replaces it before then
+  const markLoaded = () => {
+    loaded = true;
+    if (pending) timer ??= setTimeout(flush, writeDelay);
+  };
+
+  // Don't lose the last batch when the window goes away
+  window.addEventListener("pagehide", flush);
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") flush();
+  });
+
+  return {
+    getItem: async (name) => {
+      const tx = (await db()).transaction(["meta", "chats"], "readonly");
+      const [meta, chats] = await Promise.all([
+        promisify(tx.objectStore("meta").get(name)),
+        promisify(tx.objectStore("chats").getAll()),
+      ]);
+
+      // First run: import what the localStorage backend left behind
+      if (!meta) {
+        const legacy = localStorage.getItem(name);
+        markLoaded();
+        if (!legacy) return null;
+        legacyKey = name;
+        return JSON.parse(legacy);
+      }
+
+      const byId = new Map(chats.map((chat) => [chat.id, chat]));
+      const ordered = meta.chatOrder.map((id) => byId.get(id)).filter(Boolean);
+      written = new Map(ordered.map((chat) => [chat.id, chat]));
+      markLoaded();
+
+      return { state: { ...meta.state, chats: ordered }, version: meta.version };
+    },
+
+    setItem: (name, value) => {
+      pending = { name, value };
+      if (loaded) timer ??= setTimeout(flush, writeDelay);
+    },
+
+    flush,
+
+    removeItem: async (name) => {
+      const tx = (await db()).transaction(["meta", "chats"], "readwrite");
+      tx.objectStore("meta").delete(name);
+      tx.objectStore("chats").clear();
+      await transactionDone(tx);
+      written = new Map();
+    },
+  };
+}
@@ -0,0 +1,132 @@
+import { v4 as uuidv4 } from "uuid";
+
+import { EXPORT_FORMAT } from "./exportChats";
+import { linkLinearMessages, selectBranch } from "./messageTree";
+import { STATE_VERSION, migrate } from "./migrations";
+import { lastActivity } from "./chatList";
+
+// Text of an OpenAI-style `content`: a string or a list of typed parts
+const contentText = (content) =>
+  Array.isArray(content)
+    ? content.map((part) => (typeof part === "string" ? part : part.text ?? "")).join("")
+    : content ?? "";
+
+const newChat = ({ id = uuidv4(), title, model, createdAt = new Date().toISOString(), systemPrompt = "", messages = [], activeChildren = {} }) => ({
+  id,
+  title: title || "Imported Chat",
+  model: model || "unknown",
+  messages,
+  activeChildren,
+  systemPrompt,
+  options: {},
+  pinned: false,
+  folderId: null,
+  tags: [],
+  createdAt,
+  updatedAt: lastActivity(messages) ?? createdAt,
+});
+
+// Our own export: `{ format, version, chats }`. Exports from before
+// versioning carry no version and go through every migration.
+function fromNativeExport(data) {
+  const version = Number.isInteger(data.version) ? data.version : 0;
+  if (version > STATE_VERSION) {
+    throw new Error(`This export is from a newer version of Native Llama (version ${version}); update the app to import it`);
+  }
+  if (!data.chats.every((chat) => chat && Array.isArray(chat.messages))) {
+    throw new Error("Invalid export: every chat needs a list of messages");
+  }
+  return migrate({ chats: data.chats }, version).chats;
+}
+
+// A bare `[{ role, content }]` array, or `{ model, messages }`
+function fromOpenAiMessages(data) {
+  const list = Array.isArray(data) ? data : data.messages;
+  const systemPrompt = list
+    .filter((m) => m.role === "system")
+    .map((m) => contentText(m.content))
+    .join("\n\n");
+
+  const messages = linkLinearMessages(
+    list
+      .filter((m) => m.role === "user" || m.role === "assistant")
+      .map((m) => ({
+        id: uuidv4(),
+        text: contentText(m.content),
+        sender: m.role === "user" ? "user" : "ai",
+      })),
+  );
+
+  const firstPrompt = messages.find((m) => m.sender === "user")?.text ?? "";
+  return [newChat({ title: data.title ?? firstPrompt.slice(0, 50), model: data.model, systemPrompt, messages })];
+}
+
+// ChatGPT's conversations.json: a list of conversations whose messages form a
+// tree in `mapping`. System and hidden nodes are dropped and their children
+// re-attached to the nearest kept ancestor.
+function fromChatGpt(conversations) {
+  return conversations.map((conversation) => {
+    const { mapping } = conversation;
+    const toDate = (seconds) => (seconds ? new Date(seconds * 1000).toISOString() : undefined);
+
+    const keep = (node) => {
+      const role = node?.message?.author?.role;
+      return (role === "user" || role === "assistant") &&
+        contentText(node.message.content?.parts).trim() !== "";
+    };
+
+    const keptAncestor = (nodeId) => {
+      let parent = mapping[nodeId]?.parent;
+      while (parent && !keep(mapping[parent])) parent = mapping[parent]?.parent;
+      return parent ?? null;
+    };
+
+    let model;
+    const messages = Object.values(mapping)
+      .filter(keep)
+      .sort((a, b) => (a.message.create_time ?? 0) - (b.message.create_time ?? 0))
+      .map((node) => {
+        model ??= node.message.metadata?.model_slug;
+        return {
+          id: node.id,
+          parentId: keptAncestor(node.id),
+          text: contentText(node.message.content.parts),
+          sender: node.message.author.role === "user" ? "user" : "ai",
+          ...(node.message.metadata?.model_slug && { model: node.message.metadata.model_slug }),
+          createdAt: toDate(node.message.create_time),
+        };
+      });
+
+    // Select the branch ChatGPT was showing
+    let chat = newChat({
+      id: conversation.conversation_id ?? conversation.id,
+      title: conversation.title,
+      model,
+      createdAt: toDate(conversation.create_time),
+      messages,
+    });
+    let nodeId = keep(mapping[conversation.current_node]) ? conversation.current_node : keptAncestor(conversation.current_node);
+    while (nodeId) {
+      chat = selectBranch(chat, nodeId);
+      nodeId = keptAncestor(nodeId);
+    }
+    return chat;
+  });
+}
+
+// Detect the format of an imported file and turn it into chats
+export function parseImport(text) {
+  const data = JSON.parse(text);
+
+  if (data?.format === EXPORT_FORMAT && Array.isArray(data.chats)) {
+    return fromNativeExport(data);
+  }
+  if (Array.isArray(data) && data.every((c) => c && typeof c.mapping === "object")) {
+    return fromChatGpt(data);
+  }
+  const list = Array.isArray(data) ? data : data?.messages;
+  if (Array.isArray(list) && list.every((m) => m && typeof m.role === "string")) {
+    return fromOpenAiMessages(data);
+  }
+  throw new Error("Unrecognized file: expected a Native Llama export, an OpenAI messages array or ChatGPT's conversations.json");
+}
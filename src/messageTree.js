@@ -0,0 +1,101 @@
+import { v4 as uuidv4 } from "uuid";
+
+// Helpers for the branching message history.
+//
+// `chat.messages` holds every message ever produced in a chat as a flat list
+// of nodes linked by `parentId` (null for the first message). Siblings are
+// alternative versions of the same turn: regenerated replies or edited
+// prompts. `chat.activeChildren` maps a parent id (ROOT for the top level) to
+// the child currently selected; when nothing is selected the newest child wins.
+
+export const ROOT = "root";
+
+const parentKey = (parentId) => parentId ?? ROOT;
+
+// The selected child of a node, or the newest one
+function getActiveChild(children, selectedId) {
+  return children.find((m) => m.id === selectedId) ?? children[children.length - 1];
+}
+
+function groupByParent(chat) {
+  const byParent = new Map();
+  for (const msg of chat.messages) {
+    const key = parentKey(msg.parentId);
+    if (!byParent.has(key)) byParent.set(key, []);
+    byParent.get(key).push(msg);
+  }
+  return byParent;
+}
+
+// The messages along the currently selected branch, first to last
+export function getActivePath(chat) {
+  const byParent = groupByParent(chat);
+  const path = [];
+  let key = ROOT;
+  while (byParent.has(key)) {
+    const next = getActiveChild(byParent.get(key), chat.activeChildren?.[key]);
+    path.push(next);
+    key = next.id;
+  }
+  return path;
+}
+
+// The selected branch with each message's position among its siblings,
+// for rendering "< 2/3 >" switchers
+export function getThread(chat) {
+  const byParent = groupByParent(chat);
+  return getActivePath(chat).map((msg) => {
+    const siblings = byParent.get(parentKey(msg.parentId));
+    const index = siblings.indexOf(msg);
+    return {
+      msg,
+      branchIndex: index,
+      branchCount: siblings.length,
+      prevId: siblings[index - 1]?.id ?? null,
+      nextId: siblings[index + 1]?.id ?? null,
+    };
+  });
+}
+
+// The messages from the first one down to (and including) `messageId`
+export function getPathTo(chat, messageId) {
+  const byId = new Map(chat.messages.map((m) => [m.id, m]));
+  const path = [];
+  let msg = byId.get(messageId);
+  while (msg) {
+    path.unshift(msg);
+    msg = byId.get(msg.parentId);
+  }
+  return path;
+}
+
+// Last message on the selected branch, i.e. the parent of the next turn
+export function getLeaf(chat) {
+  const path = getActivePath(chat);
+  return path[path.length - 1] ?? null;
+}
+
+// Select `messageId` among its siblings
+export function selectBranch(chat, messageId) {
+  const msg = chat.messages.find((m) => m.id === messageId);
+  if (!msg) return chat;
+  return {
+    ...chat,
+    activeChildren: {
+      ...chat.activeChildren,
+      [parentKey(msg.parentId)]: msg.id,
+    },
+  };
+}
+
+// Upgrade a pre-branching chat whose messages were a plain array. Messages
+// from back then only had a unique `timestamp`, which becomes their id.
+export function linkLinearMessages(messages) {
+  let parentId = null;
+  return messages.map((msg) => {
+    const id = msg.id ?? msg.timestamp ?? uuidv4();
+    const linked = { ...msg, id, parentId };
+    parentId = id;
+    return linked;
+  });
+}
@@ -0,0 +1,63 @@
+// Timing fields reported by Ollama on the final `done: true` chunk.
+// Durations are in nanoseconds.
+const METRIC_KEYS = [
+  "eval_count",
+  "eval_duration",
+  "prompt_eval_count",
+  "prompt_eval_duration",
+  "load_duration",
+  "total_duration",
+];
+
+// Keep only the timing fields of a final chunk
+export function extractMetrics(chunk) {
+  const metrics = {};
+  for (const key of METRIC_KEYS) {
+    if (typeof chunk[key] === "number") metrics[key] = chunk[key];
+  }
+  return metrics;
+}
+
+// Tokens per second from a count and a duration in nanoseconds
+export function tokensPerSecond(count, durationNs) {
+  if (!count || !durationNs) return 0;
+  return count / (durationNs / 1e9);
+}
+
+export function formatDuration(ns) {
+  if (!ns) return "0s";
+  const ms = ns / 1e6;
+  return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+// Aggregate a performance log into per-model averages, most used first
+export function summarizeByModel(log) {
+  const byModel = new Map();
+  for (const entry of log) {
+    if (!byModel.has(entry.model)) byModel.set(entry.model, []);
+    byModel.get(entry.model).push(entry);
+  }
+
+  const average = (values) =>
+    values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+
+  return [...byModel.entries()]
+    .map(([model, entries]) => ({
+      model,
+      runs: entries.length,
+      evalRate: average(entries.map((e) => tokensPerSecond(e.eval_count, e.eval_duration))),
+      promptRate: average(
+        entries
+          .filter((e) => e.prompt_eval_count)
+          .map((e) => tokensPerSecond(e.prompt_eval_count, e.prompt_eval_duration)),
+      ),
+      loadDuration: average(entries.map((e) => e.load_duration ?? 0)),
+      totalDuration: average(entries.map((e) => e.total_duration ?? 0)),
+      totalTokens: entries.reduce((sum, e) => sum + (e.eval_count ?? 0), 0),
+      history: entries.map((e) => ({
+        at: e.at,
+        evalRate: tokensPerSecond(e.eval_count, e.eval_duration),
+      })),
+    }))
+    .sort((a, b) => b.runs - a.runs);
+}
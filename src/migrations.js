@@ -0,0 +1,95 @@
+import { linkLinearMessages } from "./messageTree";
+import { lastActivity } from "./chatList";
+import { splitThinking } from "./thinking";
+
+// Persisted state schema. MIGRATIONS[n] upgrades state saved at version n to
+// version n + 1, so adding a migration bumps STATE_VERSION.
+const MIGRATIONS = [
+  // 0 -> 1: chat messages become a tree linked by `parentId`
+  (state) => ({
+    ...state,
+    chats: (state.chats ?? []).map((chat) => ({
+      ...chat,
+      messages: linkLinearMessages(chat.messages ?? []),
+      activeChildren: {},
+    })),
+  }),
+  // 1 -> 2: replies record the model that wrote them; until now that was
+  // always the chat's model
+  (state) => ({
+    ...state,
+    chats: (state.chats ?? []).map((chat) => ({
+      ...chat,
+      messages: chat.messages.map((msg) =>
+        msg.sender === "ai" && !msg.model ? { ...msg, model: chat.model } : msg,
+      ),
+    })),
+  }),
+  // 2 -> 3: failures are stored as `error` objects instead of "Error: ..."
+  // text. A finished reply always has metrics, so one without them that
+  // reads "Error: " was a failure.
+  (state) => {
+    const legacyError = (message) => ({ kind: "unknown", message, status: null, body: null });
+    return {
+      ...state,
+      apiError: null,
+      chats: (state.chats ?? []).map((chat) => ({
+        ...chat,
+        messages: chat.messages.map((msg) =>
+          msg.sender === "ai" && !msg.metrics && msg.text?.startsWith("Error: ")
+            ? { ...msg, text: "", error: legacyError(msg.text.slice("Error: ".length)) }
+            : msg,
+        ),
+      })),
+      comparisons: (state.comparisons ?? []).map((comparison) => ({
+        ...comparison,
+        turns: comparison.turns.map((turn) => ({
+          ...turn,
+          replies: Object.fromEntries(
+            Object.entries(turn.replies).map(([model, reply]) => [
+              model,
+              typeof reply.error === "string" ? { ...reply, error: legacyError(reply.error) } : reply,
+            ]),
+          ),
+        })),
+      })),
+    };
+  },
+  // 3 -> 4: chats can be pinned, filed in folders and tagged, and record
+  // when they were last active
+  (state) => ({
+    ...state,
+    folders: state.folders ?? [],
+    chats: (state.chats ?? []).map((chat) => ({
+      pinned: false,
+      folderId: null,
+      tags: [],
+      ...chat,
+      updatedAt: chat.updatedAt ?? lastActivity(chat.messages) ?? chat.createdAt,
+    })),
+  }),
+  // 4 -> 5: replies keep their <think> reasoning apart from the answer
+  (state) => ({
+    ...state,
+    chats: (state.chats ?? []).map((chat) => ({
+      ...chat,
+      messages: chat.messages.map((msg) => {
+        if (msg.sender !== "ai" || msg.thinking || !msg.text?.includes("<think>")) return msg;
+        const { thinking, content } = splitThinking(msg.text);
+        return thinking.trim() ? { ...msg, text: content, thinking: thinking.trim() } : msg;
+      }),
+    })),
+  }),
+  // 5 -> 6: approved folders are kept by the Rust side, which only adds
+  // ones the user picks, so the list saved here is dropped
+  ({ approvedFolders, ...state }) => state,
+];
+
+export const STATE_VERSION = MIGRATIONS.length;
+
+export function migrate(state, version) {
+  for (let v = version; v < STATE_VERSION; v++) {
+    state = MIGRATIONS[v](state);
+  }
+  return state;
+}
@@ -0,0 +1,34 @@
+// Read a newline-delimited JSON response body, calling `onObject` for each
+// parsed line. Lines that fail to parse are logged and skipped; an error
+// thrown by `onObject` stops the read and is passed on.
+export async function readNdjson(body, onObject) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    let object;
+    try {
+      object = JSON.parse(line);
+    } catch (error) {
+      console.error("Error parsing JSON:", error, "Line:", line);
+      return;
+    }
+    onObject(object);
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf("\n")) >= 0) {
+      handleLine(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 1);
+    }
+  }
+
+  handleLine(buffer + decoder.decode());
+}
@@ -0,0 +1,158 @@
+// Ollama's HTTP API without any UI: requests, NDJSON streaming, and errors as
+// OllamaError. Shared by the store and the command-line client, so it only
+// uses what both the browser and Node provide (imports keep their
+// extensions for Node's sake).
+
+import { readNdjson } from "./ndjson.js";
+import { OllamaError, asConnectionError, responseError } from "./errors.js";
+import { extractMetrics } from "./metrics.js";
+import { createThinkSplitter } from "./thinking.js";
+
+export const DEFAULT_HOST = "http://localhost:11434";
+
+// A response body whose read failures are connection errors, so only
+// network trouble is reported (and retried) as such
+const guardedBody = (body, model) => ({
+  getReader() {
+    const reader = body.getReader();
+    return { read: () => reader.read().catch((error) => Promise.reject(asConnectionError(error, model))) };
+  },
+});
+
+// A client for the server at `host`. Every method takes an optional abort
+// `signal`; aborting rejects with an AbortError.
+export function createOllamaClient({ host = DEFAULT_HOST } = {}) {
+  // `model` is recorded on the error when the request fails
+  const request = async (path, { method = "POST", body, signal, fallback, model = body?.model ?? null }) => {
+    const response = await fetch(`${host}${path}`, {
+      method,
+      signal,
+      ...(body !== undefined && {
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      }),
+    }).catch((error) => Promise.reject(asConnectionError(error, model)));
+    if (!response.ok) throw await responseError(response, fallback, model);
+    return response;
+  };
+
+  // A body that isn't JSON is a SyntaxError; any other failure is the network
+  const requestJson = async (path, options) =>
+    (await request(path, options)).json().catch((error) =>
+      Promise.reject(error instanceof SyntaxError ? error : asConnectionError(error, options.body?.model)),
+    );
+
+  return {
+    host,
+
+    version: ({ signal } = {}) =>
+      requestJson("/api/version", { method: "GET", signal, fallback: "Ollama is not responding" }),
+
+    // Installed models
+    listModels: async ({ signal } = {}) =>
+      (await requestJson("/api/tags", { method: "GET", signal, fallback: "Failed to fetch models" })).models ?? [],
+
+    // Models loaded in memory
+    listRunning: async ({ signal } = {}) =>
+      (await requestJson("/api/ps", { method: "GET", signal, fallback: "Failed to list loaded models" })).models ?? [],
+
+    show: (model, { signal } = {}) =>
+      requestJson("/api/show", { body: { model }, signal, fallback: `Failed to load details for ${model}` }),
+
+    copy: (source, destination, { signal } = {}) =>
+      request("/api/copy", {
+        body: { source, destination },
+        signal,
+        fallback: `Failed to copy ${source}`,
+        model: source,
+      }),
+
+    delete: (model, { signal } = {}) =>
+      request("/api/delete", { method: "DELETE", body: { model }, signal, fallback: `Failed to delete ${model}` }),
+
+    // Download a model; `onProgress` gets each { status, completed, total }
+    pull: async (model, { signal, onProgress = () => {} } = {}) => {
+      const response = await request("/api/pull", {
+        body: { model, stream: true },
+        signal,
+        fallback: `Failed to pull ${model}`,
+      });
+      await readNdjson(guardedBody(response.body, model), (line) => {
+        if (line.error) throw new OllamaError("stream", line.error, { body: line.error, model });
+        onProgress({ status: line.status, completed: line.completed, total: line.total });
+      });
+    },
+
+    // Embedding vectors for each of the `input` texts
+    embed: async (model, input, { signal } = {}) =>
+      (await requestJson("/api/embed", { body: { model, input }, signal, fallback: `Embedding with ${model} failed` }))
+        .embeddings,
+
+    // A complete, non-streamed /api/generate response. Without a prompt the
+    // model is only loaded (or unloaded, with `keep_alive: 0`).
+    generate: (body, { signal } = {}) =>
+      requestJson("/api/generate", {
+        body: { ...body, stream: false },
+        signal,
+        fallback: `Request to ${body.model} failed`,
+      }),
+
+    // Stream a /api/chat reply. `onEvent` receives, in order:
+    //   { type: "thinking", text }   reasoning, from models that think,
+    //                                whether sent apart or in <think> tags
+    //   { type: "token", text }      part of the answer
+    //   { type: "tool_call", call }  a tool the model wants to call
+    //   { type: "metrics", metrics } timing numbers from the final chunk
+    //   { type: "done", content, thinking, toolCalls, metrics }
+    // or { type: "error", error } when the request fails, in which case the
+    // promise rejects with the same error. An abort rejects without an
+    // event. Resolves to what "done" carries.
+    chat: async (body, { signal, onEvent = () => {} } = {}) => {
+      const result = { content: "", thinking: "", toolCalls: [], metrics: null };
+      const splitter = createThinkSplitter();
+      const emitText = ({ thinking, content }) => {
+        if (thinking) {
+          result.thinking += thinking;
+          onEvent({ type: "thinking", text: thinking });
+        }
+        if (content) {
+          result.content += content;
+          onEvent({ type: "token", text: content });
+        }
+      };
+
+      try {
+        const response = await request("/api/chat", {
+          body: { ...body, stream: true },
+          signal,
+          fallback: "Chat request failed",
+        });
+        await readNdjson(guardedBody(response.body, body.model), (chunk) => {
+          if (chunk.error) throw new OllamaError("stream", chunk.error, { body: chunk.error, model: body.model });
+
+          const { content, thinking, tool_calls: toolCalls } = chunk.message ?? {};
+          emitText({ thinking, content: "" });
+          if (content) emitText(splitter.push(content));
+          for (const call of toolCalls ?? []) {
+            result.toolCalls.push(call);
+            onEvent({ type: "tool_call", call });
+          }
+          if (chunk.done) {
+            emitText(splitter.flush());
+            result.metrics = extractMetrics(chunk);
+            onEvent({ type: "metrics", metrics: result.metrics });
+          }
+        });
+      } catch (error) {
+        if (error.name !== "AbortError") onEvent({ type: "error", error });
+        throw error;
+      }
+
+      onEvent({ type: "done", ...result });
+      return result;
+    },
+  };
+}
+
+// The app talks to the default local server
+export const ollama = createOllamaClient();
@@ -0,0 +1,110 @@
+import { create } from "zustand";
+import { invoke } from "@tauri-apps/api/core";
+import { listen } from "@tauri-apps/api/event";
+
+import { useChatStore } from "./store";
+import { ollama } from "./ollamaClient";
+
+// Runtime state of the Ollama server. `running` comes from polling the API,
+// so it also covers a server started outside of the app; `managed` is
+// whether the app started the process itself and so can stop it.
+export const useServerStore = create(() => ({
+  running: null,
+  managed: false,
+  starting: false,
+  error: null,
+  logs: [],
+}));
+
+const HEALTH_INTERVAL = 5000;
+const HEALTH_TIMEOUT = 2000;
+const LOG_LIMIT = 2000;
+// Crashes in a row get restarted after 1s, 2s, 4s... up to this many times
+const MAX_RESTARTS = 5;
+
+let restarts = 0;
+
+const appendLog = (entry) =>
+  useServerStore.setState((state) => ({
+    logs: [...state.logs, { ...entry, at: Date.now() }].slice(-LOG_LIMIT),
+  }));
+
+export async function checkHealth() {
+  let running;
+  try {
+    await ollama.version({ signal: AbortSignal.timeout(HEALTH_TIMEOUT) });
+    running = true;
+  } catch {
+    running = false;
+  }
+
+  const wasRunning = useServerStore.getState().running;
+  useServerStore.setState({ running, ...(running && { starting: false }) });
+  if (running && !wasRunning) useChatStore.getState().fetchModels();
+  if (running) restarts = 0;
+  return running;
+}
+
+export async function startServer() {
+  useServerStore.setState({ starting: true, error: null });
+  try {
+    await invoke("start_ollama");
+    useServerStore.setState({ managed: true });
+    appendLog({ stream: "app", line: "Started ollama serve" });
+  } catch (error) {
+    useServerStore.setState({ starting: false, error: String(error) });
+  }
+}
+
+export async function stopServer() {
+  useServerStore.setState({ error: null });
+  try {
+    await invoke("stop_ollama");
+  } catch (error) {
+    useServerStore.setState({ error: String(error) });
+  }
+  checkHealth();
+}
+
+export const clearLogs = () => useServerStore.setState({ logs: [] });
+
+function handleExit({ code, requested }) {
+  useServerStore.setState({ managed: false, starting: false, running: false });
+  appendLog({
+    stream: "app",
+    line: requested ? "Stopped ollama serve" : `ollama serve exited with code ${code ?? "unknown"}`,
+  });
+
+  if (requested || !useChatStore.getState().ollamaAutoRestart) return;
+  if (restarts >= MAX_RESTARTS) {
+    appendLog({ stream: "app", line: `Gave up restarting after ${MAX_RESTARTS} attempts` });
+    return;
+  }
+  const delay = 1000 * 2 ** restarts;
+  restarts += 1;
+  appendLog({ stream: "app", line: `Restarting in ${delay / 1000}s` });
+  setTimeout(startServer, delay);
+}
+
+// Start watching the server: log and exit events from the process, the
+// health poll, and auto-start. Returns a function that stops it all.
+export function superviseServer() {
+  // Outside of Tauri (e.g. in a plain browser) there are no events to listen to
+  const unlisteners = [
+    listen("ollama-log", (event) => appendLog(event.payload)).catch(() => null),
+    listen("ollama-exit", (event) => handleExit(event.payload)).catch(() => null),
+  ];
+  const timer = setInterval(checkHealth, HEALTH_INTERVAL);
+
+  (async () => {
+    const managed = await invoke("ollama_managed").catch(() => false);
+    useServerStore.setState({ managed });
+    const running = await checkHealth();
+    if (!running && !managed && useChatStore.getState().ollamaAutoStart) startServer();
+  })();
+
+  return () => {
+    clearInterval(timer);
+    unlisteners.forEach((unlisten) => unlisten.then((fn) => fn?.()));
+  };
+}
@@ -0,0 +1,24 @@
+// Checks for the prompt library helpers: npm run check
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { toDraft } from "./chatOptions.js";
+import { editedPrompt, fillTemplate, templateVariables } from "./prompts.js";
+
+const saved = { id: "p", name: "review", template: "Review {{code}}", options: { temperature: 0.2 } };
+
+test("keeps the option overrides while the box is ticked", () => {
+  const prompt = editedPrompt({ ...saved, draft: toDraft(saved.options), overrideOptions: true });
+  assert.deepEqual(prompt.options, { temperature: 0.2 });
+});
+
+test("unticking the override box clears the saved options", () => {
+  const prompt = editedPrompt({ ...saved, draft: toDraft(saved.options), overrideOptions: false });
+  assert.deepEqual(prompt.options, {});
+  assert.equal(prompt.id, "p");
+});
+
+test("fills in template variables", () => {
+  assert.deepEqual(templateVariables(saved.template), ["code"]);
+  assert.equal(fillTemplate(saved.template, { code: "x = 1" }), "Review x = 1");
+});
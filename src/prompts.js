@@ -0,0 +1,52 @@
+// Prompt library templates: text with `{{variable}}` placeholders, filled
+// in before sending.
+
+import { fromDraft } from "./chatOptions.js";
+
+const VARIABLE = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+// Prompts a new library starts with
+export const DEFAULT_PROMPTS = [
+  {
+    id: "summarize",
+    name: "summarize",
+    template: "Summarize the following text in a few bullet points:\n\n{{text}}",
+  },
+  {
+    id: "translate",
+    name: "translate",
+    template: "Translate the following text to {{language}}. Reply with the translation only.\n\n{{text}}",
+  },
+  {
+    id: "review",
+    name: "review",
+    template: "Review this diff. Point out bugs, risky changes and missing tests, most important first.\n\n```diff\n{{diff}}\n```",
+  },
+];
+
+// Variable names in order of first appearance
+export const templateVariables = (template) => [
+  ...new Set([...template.matchAll(VARIABLE)].map((match) => match[1])),
+];
+
+export const fillTemplate = (template, values) =>
+  template.replace(VARIABLE, (_, name) => values[name] ?? "");
+
+// Prompts whose name starts with, then contains, `query`
+export function matchPrompts(prompts, query) {
+  const q = query.toLowerCase();
+  const starts = prompts.filter((p) => p.name.toLowerCase().startsWith(q));
+  const contains = prompts.filter((p) => !starts.includes(p) && p.name.toLowerCase().includes(q));
+  return [...starts, ...contains];
+}
+
+// The prompt the editor saves from its fields. The option `draft` only
+// counts while `overrideOptions` is ticked, so unticking it clears
+// overrides saved earlier.
+export const editedPrompt = ({ id, name, template, model, draft, overrideOptions }) => ({
+  ...(id && { id }),
+  name,
+  template,
+  ...(model && { model }),
+  options: overrideOptions ? fromDraft(draft) : {},
+});
@@ -0,0 +1,103 @@
+// Full-text search over every message of every chat.
+//
+// The index is a flat list with the lowercased text precomputed, so a query
+// is a single pass of `includes` checks; it is rebuilt only when chats change.
+
+const SNIPPET_RADIUS = 60;
+
+const pad = (number) => String(number).padStart(2, "0");
+
+// The local calendar day (YYYY-MM-DD) of an ISO time, to compare with the
+// dates of the date inputs, which are local too
+const localDay = (iso) => {
+  const date = new Date(iso);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+export function buildSearchIndex(chats) {
+  const entries = [];
+  for (const chat of chats) {
+    for (const msg of chat.messages) {
+      if (!msg.text) continue;
+      // Messages from before `createdAt` was recorded fall back to the chat's
+      const date = msg.createdAt ?? chat.createdAt;
+      entries.push({
+        chatId: chat.id,
+        chatTitle: chat.title,
+        // Replies carry their own model; prompts count under the chat's
+        model: msg.model ?? chat.model,
+        messageId: msg.id,
+        sender: msg.sender,
+        text: msg.text,
+        lower: msg.text.toLowerCase(),
+        date,
+        day: date ? localDay(date) : null,
+      });
+    }
+  }
+  return entries;
+}
+
+const toTerms = (query) => query.toLowerCase().split(/\s+/).filter(Boolean);
+
+// Split `text` around every occurrence of the terms, for highlighting
+export function highlight(text, terms) {
+  if (!terms.length) return [{ text, match: false }];
+
+  const lower = text.toLowerCase();
+  const segments = [];
+  let start = 0;
+  while (start < text.length) {
+    let next = -1;
+    let length = 0;
+    for (const term of terms) {
+      const at = lower.indexOf(term, start);
+      if (at >= 0 && (next < 0 || at < next)) {
+        next = at;
+        length = term.length;
+      }
+    }
+    if (next < 0) break;
+    if (next > start) segments.push({ text: text.slice(start, next), match: false });
+    segments.push({ text: text.slice(next, next + length), match: true });
+    start = next + length;
+  }
+  if (start < text.length) segments.push({ text: text.slice(start), match: false });
+  return segments;
+}
+
+// Text around the first match of any term
+function snippet(entry, terms) {
+  const first = Math.min(...terms.map((term) => entry.lower.indexOf(term)));
+  const from = Math.max(0, first - SNIPPET_RADIUS);
+  const to = Math.min(entry.text.length, first + SNIPPET_RADIUS * 2);
+  return (
+    (from > 0 ? "…" : "") +
+    entry.text.slice(from, to).replace(/\s+/g, " ") +
+    (to < entry.text.length ? "…" : "")
+  );
+}
+
+// Entries containing every term, newest first, limited to `limit` results.
+// `from` and `to` are inclusive local dates (YYYY-MM-DD).
+export function search(index, { query, model, from, to }, limit = 200) {
+  const terms = toTerms(query);
+  if (!terms.length) return { results: [], total: 0 };
+
+  const matches = index.filter(
+    (entry) =>
+      (!model || entry.model === model) &&
+      (!from || entry.day >= from) &&
+      (!to || entry.day <= to) &&
+      terms.every((term) => entry.lower.includes(term)),
+  );
+  matches.sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+
+  return {
+    total: matches.length,
+    results: matches.slice(0, limit).map((entry) => ({
+      ...entry,
+      snippet: highlight(snippet(entry, terms), terms),
+    })),
+  };
+}
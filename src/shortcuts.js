@@ -0,0 +1,61 @@
+// Keyboard shortcuts. Combos are strings like "Mod+Shift+O", where Mod is
+// Cmd on macOS and Ctrl elsewhere; users can rebind any action.
+
+export const SHORTCUT_ACTIONS = [
+  { id: "palette", label: "Open command palette", combo: "Mod+K" },
+  { id: "newChat", label: "New chat", combo: "Mod+Shift+O" },
+  { id: "nextChat", label: "Next chat", combo: "Alt+ArrowDown" },
+  { id: "prevChat", label: "Previous chat", combo: "Alt+ArrowUp" },
+  { id: "focusComposer", label: "Focus message box", combo: "Shift+Escape" },
+  { id: "stopGeneration", label: "Stop generating", combo: "Mod+." },
+  { id: "copyLastReply", label: "Copy last reply", combo: "Mod+Shift+C" },
+];
+
+export const isMac = typeof navigator !== "undefined" && /Mac|iPhone|iPad/.test(navigator.platform);
+
+const MODIFIER_KEYS = new Set(["Control", "Meta", "Alt", "Shift", "AltGraph", "CapsLock"]);
+
+// Letters and digits by physical key, so Shift or Alt don't change them
+const keyName = (e) => {
+  if (/^Key[A-Z]$/.test(e.code)) return e.code.slice(3);
+  if (/^Digit\d$/.test(e.code)) return e.code.slice(5);
+  return e.key.length === 1 ? e.key.toUpperCase() : e.key;
+};
+
+// The combo a key event stands for, or null for a lone modifier press
+export function comboFromEvent(e) {
+  if (MODIFIER_KEYS.has(e.key)) return null;
+  const parts = [];
+  if (isMac ? e.metaKey : e.ctrlKey) parts.push("Mod");
+  if (e.altKey) parts.push("Alt");
+  if (e.shiftKey) parts.push("Shift");
+  parts.push(keyName(e));
+  return parts.join("+");
+}
+
+// Bindings with the user's changes applied, as combo -> action id
+export function resolveBindings(overrides) {
+  return new Map(
+    SHORTCUT_ACTIONS.map(({ id, combo }) => [overrides[id] ?? combo, id]),
+  );
+}
+
+export const comboFor = (overrides, actionId) =>
+  overrides[actionId] ?? SHORTCUT_ACTIONS.find((action) => action.id === actionId)?.combo;
+
+const SYMBOLS = isMac
+  ? { Mod: "⌘", Alt: "⌥", Shift: "⇧" }
+  : { Mod: "Ctrl", Alt: "Alt", Shift: "Shift" };
+const KEY_LABELS = { ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→", Escape: "Esc", " ": "Space" };
+
+export const formatCombo = (combo) =>
+  combo
+    ?.split("+")
+    .map((part) => SYMBOLS[part] ?? KEY_LABELS[part] ?? part)
+    .join(isMac ? "" : "+");
+
+// Typing in a text field shouldn't trigger plain-key shortcuts
+export const isTyping = (e, combo) =>
+  e.target.closest?.("input, textarea, select, [contenteditable]") &&
+  !/(^|\+)(Mod|Alt)\+/.test(combo) &&
+  keyName(e).length === 1;
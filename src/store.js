@@ -1,43 +1,394 @@
 import { create } from "zustand";
 import { persist } from "zustand/middleware";
+import { invoke } from "@tauri-apps/api/core";
 import { debounce } from 'lodash-es';
 import {v4 as uuidv4} from 'uuid';
+import {
+  getActivePath,
+  getLeaf,
+  getPathTo,
+  linkLinearMessages,
+  selectBranch,
+} from "./messageTree";
+import { toRequestOptions, withSystemPrompt } from "./chatOptions";
+import { ollama } from "./ollamaClient";
+import { RETRY_DELAYS, isTransient, toErrorInfo, wait } from "./errors";
+import { createIdbStorage } from "./idbStorage";
+import { STATE_VERSION, migrate } from "./migrations";
+import {
+  clearStreamText,
+  useStreamStore,
+  writeStreamProgress,
+  writeStreamText,
+} from "./streamStore";
+import { buildTitlePrompt, cleanTitle } from "./titles";
+import { DEFAULT_CHAT_SORT } from "./chatList";
+import { splitThinking } from "./thinking";
+import { runTool, toolDefinitions } from "./tools";
+import { DEFAULT_PROMPTS } from "./prompts";
+import {
+  DEFAULT_EMBEDDING_MODEL,
+  DEFAULT_TOP_K,
+  buildSourcesMessage,
+  chunkText,
+  markCitedSources,
+  readDocumentText,
+  topChunks,
+} from "./documents";
+import { MAX_FORMAT_RETRIES, buildRetryPrompt, checkReply, isRetryable } from "./structuredOutput";
+import {
+  DEFAULT_CONTEXT_STRATEGY,
+  buildSummaryPrompt,
+  estimateTextTokens,
+  estimateTokens,
+  fitPinned,
+  fitWindow,
+  getKnownContextLimit,
+  historyBudget,
+  sumTokens,
+} from "./context";
+
+// Turn a failed save into a message the user can act on
+const describeStorageError = (error) =>
+  error?.name === "QuotaExceededError"
+    ? "Storage is full, recent changes were not saved. Delete old chats or images to free up space."
+    : `Chats could not be saved: ${error?.message ?? error}`;
+
+// Chats are written at most every couple of seconds while they change, and
+// right away when a reply finishes
+const chatStorage = createIdbStorage({
+  writeDelay: 2000,
+  onError: (error) =>
+    useChatStore.setState({ storageError: describeStorageError(error) }),
+});
+
+// Tool-call rounds allowed per reply; the last request goes out without
+// tools so the model has to answer
+const MAX_TOOL_ROUNDS = 5;
+
+// Chunks sent to /api/embed per request while indexing a document
+const EMBED_BATCH_SIZE = 16;
+
+// Cap on the per-model performance history kept for the Settings page
+const PERFORMANCE_LOG_LIMIT = 1000;
+
+// In-flight generations keyed by chat or comparison id. Kept outside the
+// store so the controllers never end up in persisted state.
+const abortControllers = new Map();
+// Same for model downloads, keyed by model name
+const pullControllers = new Map();
+
+// Copy of `obj` without `key`
+const omit = (obj, key) => {
+  const { [key]: _, ...rest } = obj;
+  return rest;
+};
+
+// Apply `fn` to a single chat
+const updateChat = (chats, chatId, fn) =>
+  chats.map((chat) => (chat.id === chatId ? fn(chat) : chat));
+
+// Shallow-merge `patch` into a single message of a chat
+const updateMessage = (chats, chatId, messageId, patch) =>
+  updateChat(chats, chatId, (chat) => ({
+    ...chat,
+    messages: chat.messages.map((msg) =>
+      msg.id === messageId ? { ...msg, ...patch } : msg,
+    ),
+  }));
+
+// Tool calls of a stopped reply that never ran are marked as stopped, so
+// none is left "running" or sent back to the model without a result
+const settleToolRounds = (rounds) =>
+  rounds.map((round) => ({
+    ...round,
+    calls: round.calls.map((call) =>
+      "result" in call || call.error ? call : { ...call, error: "Stopped" },
+    ),
+  }));
+
+// Replies still marked as streaming when the app was closed can't resume
+const settleInterruptedReplies = (chats) =>
+  chats.map((chat) =>
+    chat.messages.some((msg) => msg.isStreaming)
+      ? {
+          ...chat,
+          messages: chat.messages.map((msg) =>
+            msg.isStreaming
+              ? {
+                  ...msg,
+                  isStreaming: false,
+                  stopped: true,
+                  ...(msg.toolRounds && { toolRounds: settleToolRounds(msg.toolRounds) }),
+                }
+              : msg,
+          ),
+        }
+      : chat,
+  );
+
+// One round of tool use as /api/chat messages: the assistant turn asking
+// for the calls, then a "tool" message with each result
+const toolRoundMessages = ({ content, calls }) => [
+  {
+    role: "assistant",
+    content,
+    tool_calls: calls.map(({ name, arguments: args }) => ({ function: { name, arguments: args } })),
+  },
+  ...calls.map((call) => ({
+    role: "tool",
+    tool_name: call.name,
+    content: call.error ? `Error: ${call.error}` : call.result,
+  })),
+];
+
+// A stored message as /api/chat messages. Replies that used tools expand
+// into each round's tool calls and results before the final answer; failed
+// replies are left out, and so is thinking, which models don't expect back.
+const toOllamaMessages = (msg) => {
+  if (msg.error) return [];
+  if (msg.sender === "user") {
+    return [{
+      role: "user",
+      content: msg.text,
+      ...(msg.images?.length && { images: msg.images.map((image) => image.data) }),
+    }];
+  }
+  return [
+    ...(msg.toolRounds ?? []).flatMap(toolRoundMessages),
+    { role: "assistant", content: splitThinking(msg.text).content },
+  ];
+};
+
+// Same for the replies of arena comparisons
+const settleInterruptedComparisons = (comparisons) =>
+  comparisons.map((comparison) => ({
+    ...comparison,
+    turns: comparison.turns.map((turn) => ({
+      ...turn,
+      replies: Object.fromEntries(
+        Object.entries(turn.replies).map(([model, reply]) => [
+          model,
+          reply.isStreaming ? { ...reply, isStreaming: false, stopped: true } : reply,
+        ]),
+      ),
+    })),
+  }));
+
+// Shallow-merge `patch` into one model's reply in a comparison turn
+const updateComparisonReply = (comparisons, comparisonId, turnId, model, patch) =>
+  comparisons.map((comparison) =>
+    comparison.id === comparisonId
+      ? {
+          ...comparison,
+          turns: comparison.turns.map((turn) =>
+            turn.id === turnId
+              ? { ...turn, replies: { ...turn.replies, [model]: { ...turn.replies[model], ...patch } } }
+              : turn,
+          ),
+        }
+      : comparison,
+  );
+
+// `keep_alive` for a request; without one Ollama uses its default
+const keepAliveParam = (keepAlive) => (keepAlive != null ? { keep_alive: keepAlive } : {});
+
+// Stream key of a reply's thinking
+export const thinkingStreamId = (messageId) => `${messageId}:thinking`;
+
+// Stream key of one model's reply in a comparison turn
+export const comparisonStreamId = (turnId, model) => `${turnId}:${model}`;
+
+// Embeddings for any number of texts, a batch at a time. `onProgress` gets
+// the number of texts done so far.
+async function embedAll(model, texts, onProgress) {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+    onProgress(i);
+    vectors.push(...(await ollama.embed(model, texts.slice(i, i + EMBED_BATCH_SIZE))));
+  }
+  return vectors;
+}
+
+// Append a message and make it the selected branch under its parent. The
+// chat counts as active as of the new message.
+const appendMessage = (chats, chatId, message) =>
+  updateChat(chats, chatId, (chat) =>
+    selectBranch(
+      {
+        ...chat,
+        messages: [...chat.messages, message],
+        updatedAt: message.createdAt ?? new Date().toISOString(),
+      },
+      message.id,
+    ),
+  );
 
 export const useChatStore = create(
   persist(
     (set, get) => ({
       chats: [],
+      // Sidebar folders ({ id, name, collapsed }) and the order of its chats
+      folders: [],
+      chatSort: DEFAULT_CHAT_SORT,
       currentChatId: null,
       availableModels: [],
       loadingModels: false,
       apiError: null,
-      tokenSpeed: 0,
+      presets: [],
+      prompts: DEFAULT_PROMPTS,
+      // Rebound keyboard shortcuts, action id -> combo
+      shortcuts: {},
+      // Arena sessions: one prompt per turn, answered by every model
+      comparisons: [],
+      // Start `ollama serve` with the app, and again when it crashes
+      ollamaAutoStart: false,
+      ollamaAutoRestart: false,
+      // Load a chat's model as soon as the chat is opened
+      preloadOnOpen: false,
+      performanceLog: [],
+      // Folders the file tools may read from, as the Rust side keeps them
+      approvedFolders: [],
+      pulls: {},
+      modelInfo: {},
+      // Documents being chunked and embedded, by chat id
+      indexing: {},
+      hydrated: false,
+      storageError: null,
 
       // Fetch available models from Ollama
       fetchModels: async () => {
         set({ loadingModels: true, apiError: null });
         try {
-          const response = await fetch("http://localhost:11434/api/tags");
-          if (!response.ok) throw new Error("Failed to fetch models");
-          const data = await response.json();
-          set({ availableModels: data.models });
+          set({ availableModels: await ollama.listModels() });
         } catch (error) {
-          set({ apiError: error.message });
+          set({ apiError: toErrorInfo(error) });
         } finally {
           set({ loadingModels: false });
         }
       },
 
+      // Download a model, tracking the streamed status lines in `pulls`
+      pullModel: async (name) => {
+        if (pullControllers.has(name)) return;
+
+        const setPull = (progress) =>
+          set((state) => ({ pulls: { ...state.pulls, [name]: progress } }));
+
+        const controller = new AbortController();
+        pullControllers.set(name, controller);
+        setPull({ status: "starting" });
+
+        try {
+          await ollama.pull(name, { signal: controller.signal, onProgress: setPull });
+          set((state) => ({ pulls: omit(state.pulls, name) }));
+        } catch (error) {
+          if (error.name === "AbortError") {
+            set((state) => ({ pulls: omit(state.pulls, name) }));
+          } else {
+            setPull({ status: "error", error: error.message });
+          }
+        } finally {
+          pullControllers.delete(name);
+          set((state) => ({ modelInfo: omit(state.modelInfo, name) }));
+          get().fetchModels();
+        }
+      },
+
+      cancelPull: (name) => {
+        pullControllers.get(name)?.abort();
+      },
+
+      dismissPull: (name) => {
+        set((state) => ({ pulls: omit(state.pulls, name) }));
+      },
+
+      deleteModel: async (name) => {
+        try {
+          await ollama.delete(name);
+        } finally {
+          set((state) => ({ modelInfo: omit(state.modelInfo, name) }));
+          get().fetchModels();
+        }
+      },
+
+      copyModel: async (source, destination) => {
+        try {
+          await ollama.copy(source, destination);
+        } finally {
+          get().fetchModels();
+        }
+      },
+
+      // Ollama has no rename, so copy under the new name and drop the old one
+      renameModel: async (source, destination) => {
+        await get().copyModel(source, destination);
+        await get().deleteModel(source);
+      },
+
+      // Template, parameters, license and details of an installed model
+      showModel: (name) => ollama.show(name),
+
+      // Cached /api/show result for a model, fetched on first use
+      loadModelInfo: async (name) => {
+        const cached = get().modelInfo[name];
+        if (cached) return cached;
+
+        const info = await get().showModel(name);
+        set((state) => ({ modelInfo: { ...state.modelInfo, [name]: info } }));
+        return info;
+      },
+
+      // Models Ollama has in memory, with their size, VRAM share and expiry
+      fetchRunningModels: () => ollama.listRunning(),
+
+      // A generate request without a prompt only loads the model
+      loadModel: async (name, keepAlive = null) => {
+        await ollama.generate({ model: name, ...keepAliveParam(keepAlive) });
+      },
+
+      unloadModel: async (name) => {
+        await ollama.generate({ model: name, keep_alive: 0 });
+      },
+
       // Create new chat with selected model
-      createChat: (title, model) => {
+      createChat: (title, model, messages = []) => {
         if (!model) throw new Error("No model selected");
 
+        const createdAt = new Date().toISOString();
         const newChat = {
           id: uuidv4(), //Date.now().toString(),
           title: title || "New Chat",
+          // Untitled chats get a title from the model after the first reply
+          autoTitle: !title,
           model,
-          messages: [],
-          createdAt: new Date().toISOString(),
+          messages,
+          activeChildren: {},
+          systemPrompt: "",
+          options: {},
+          contextStrategy: DEFAULT_CONTEXT_STRATEGY,
+          // Names of the tools the model may call
+          tools: [],
+          // JSON schema the replies must follow, sent as `format`
+          format: null,
+          formatAutoRetry: true,
+          // Attached documents, chunked and embedded for retrieval
+          documents: [],
+          embeddingModel: DEFAULT_EMBEDDING_MODEL,
+          retrievalTopK: DEFAULT_TOP_K,
+          // Seconds the model stays loaded after a request (-1 for good),
+          // null for Ollama's default
+          keepAlive: null,
+          // `think` sent with requests; null leaves it to the model
+          think: null,
+          // Rolling summaries keyed by the last message they cover
+          summaries: {},
+          // Sidebar organisation
+          pinned: false,
+          folderId: null,
+          tags: [],
+          createdAt,
+          updatedAt: createdAt,
         };
 
         set((state) => ({
@@ -48,173 +399,249 @@ export const useChatStore = create(
         return newChat.id;
       },
 
-      // Send message to Ollama API
-      sendMessage: async (chatId, messageText) => {
-        const updateSpeed = debounce((speed) => {
-          set({ tokenSpeed: speed });
-        }, 200);
-
+      // Send message to Ollama API, continuing the selected branch.
+      // `overrides` ({ model, options }) apply to this reply only, e.g. the
+      // defaults of a prompt from the library.
+      sendMessage: async (chatId, messageText, images = [], overrides = {}) => {
         const chat = get().chats.find((c) => c.id === chatId);
         if (!chat) throw new Error("Chat not found");
 
-        // Add user message
         const userMessage = {
+          id: uuidv4(),
+          parentId: getLeaf(chat)?.id ?? null,
           text: messageText,
           sender: "user",
-          timestamp: uuidv4(), // new Date().toISOString(),
+          createdAt: new Date().toISOString(),
+          ...(images.length && { images }),
         };
 
         set((state) => ({
-          chats: state.chats.map((chat) =>
-            chat.id === chatId
-              ? {
-                  ...chat,
-                  messages: [...chat.messages, userMessage],
-                }
-              : chat,
-          ),
+          chats: appendMessage(state.chats, chatId, userMessage),
         }));
 
+        await get().generateReply(chatId, userMessage.id, { overrides });
+      },
+
+      // Stream a new AI reply to the history ending at `parentId`. `retry`
+      // is a previous reply that did not match the chat's schema
+      // ({ attempt, text, errors }); it is shown to the model with the
+      // errors so the new reply can fix them. `overrides` replace the chat's
+      // model and options for this reply.
+      generateReply: async (chatId, parentId, { retry = null, overrides = {} } = {}) => {
+        const updateSpeed = debounce((speed) => {
+          useStreamStore.setState({ tokenSpeed: speed });
+        }, 200);
+
+        const chat = get().chats.find((c) => c.id === chatId);
+        if (!chat) throw new Error("Chat not found");
+
+        const history = getPathTo(chat, parentId);
+        const model = overrides.model || chat.model;
+        const options = { ...chat.options, ...overrides.options };
+
         // Add temporary AI message
         const aiMessage = {
+          id: uuidv4(),
+          parentId,
           text: "",
           sender: "ai",
-          timestamp: uuidv4(), // new Date().toISOString(),
+          // The chat's model can change between turns
+          model,
+          createdAt: new Date().toISOString(),
           isStreaming: true,
         };
 
         set((state) => ({
-          chats: state.chats.map((chat) =>
-            chat.id === chatId
-              ? {
-                  ...chat,
-                  messages: [...chat.messages, aiMessage],
-                }
-              : chat,
-          ),
+          chats: appendMessage(state.chats, chatId, aiMessage),
         }));
 
+        const controller = new AbortController();
+        abortControllers.set(chatId, controller);
+
+        // Tokens go to the stream buffer; the chat itself is only updated
+        // once the reply ends, with everything collected here
+        let aiText = "";
+        let failed = false;
+        const final = {};
+        // Reasoning streams separately, timed from its first token to the
+        // first token of the answer
+        const thinkingId = thinkingStreamId(aiMessage.id);
+        let thinkingText = "";
+        const thinkingTime = { startedAt: null, endedAt: null };
+        const toolRounds = [];
+
         // Stream response from Ollama
         try {
-          const response = await fetch("http://localhost:11434/api/chat", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-              model: chat.model,
-              messages: [
-                ...chat.messages
-                  .filter(m => m.timestamp !== userMessage.timestamp) // Exclude the just-added user message
-                  .map((m) => ({
-                    role: m.sender === "user" ? "user" : "assistant",
-                    content: m.text,
-                  })),
-                { role: "user", content: messageText }, // This is the only place the new message should appear
-              ],
-              stream: true,
-            }),
+          const { messages: context, summary, summaryError } = await get().prepareContext(chatId, history, {
+            model,
+            options,
+            signal: controller.signal,
+            onSummarize: () => writeStreamText(aiMessage.id, "*Summarizing earlier messages…*"),
           });
+          if (summaryError) final.summaryError = summaryError;
+          // Messages left out were either folded into the summary or dropped
+          if (context.length < history.length) {
+            final[summary ? "summarized" : "trimmed"] = history.length - context.length;
+          }
+
+          // The chunks of attached documents closest to the question go in
+          // right before it
+          const conversation = context.flatMap(toOllamaMessages);
+          const question = history.findLast((m) => m.sender === "user")?.text;
+          if (chat.documents?.length && question) {
+            const embeddingModel = chat.embeddingModel ?? DEFAULT_EMBEDDING_MODEL;
+            const [vector] = await ollama.embed(embeddingModel, [question], { signal: controller.signal });
+            const sources = topChunks(chat.documents, vector, chat.retrievalTopK ?? DEFAULT_TOP_K, embeddingModel);
+            if (sources.length) {
+              final.sources = sources;
+              conversation.splice(conversation.length - 1, 0, {
+                role: "system",
+                content: buildSourcesMessage(sources),
+              });
+            }
+          }
 
-            if (!response.ok) throw new Error("API request failed");
-
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            let buffer = "";
-            let done = false;
-            let aiText = "";
-
-            let tokenCount = 0;
-            let startTime = Date.now();
-            let lastUpdateTime = startTime;
-            let tokensPerSecond = 0;
-
-            while (!done) {
-              const { value, done: streamDone } = await reader.read();
-              done = streamDone;
-
-              if (value) {
-                buffer += decoder.decode(value, { stream: true });
-
-                // Process complete JSON objects in the buffer
-                let boundary;
-                while ((boundary = buffer.indexOf('\n')) >= 0) {
-                  const line = buffer.slice(0, boundary);
-                  buffer = buffer.slice(boundary + 1);
-                  
-                  if (!line.trim()) continue;
-                  
-                  try {
-                    const parsed = JSON.parse(line);
-                    if (parsed.message?.content) {
-                      aiText += parsed.message.content;
-                      tokenCount += parsed.message.content.length / 4; // Approximate token count (4 chars ≈ 1 token)
-                      set(state => ({
-                        chats: state.chats.map(chat => 
-                          chat.id === chatId ? {
-                            ...chat,
-                            messages: chat.messages.map(msg => 
-                              msg.timestamp === aiMessage.timestamp 
-                                ? { ...msg, text: aiText }
-                                : msg
-                            )
-                          } : chat
-                        ),
-                      }));
+          const tools = toolDefinitions(chat.tools ?? []);
+          const messages = withSystemPrompt(chat.systemPrompt, [
+            ...(summary
+              ? [{ role: "system", content: `Summary of the earlier conversation:\n${summary}` }]
+              : []),
+            ...conversation,
+            ...(retry
+              ? [
+                  { role: "assistant", content: retry.text },
+                  { role: "user", content: buildRetryPrompt(retry.errors) },
+                ]
+              : []),
+          ]);
+
+          let tokenCount = 0;
+          let startTime = Date.now();
+          let lastUpdateTime = startTime;
+
+          // Each round streams one response; a response asking for tools
+          // gets their results appended and goes around again
+          for (let round = 0; ; round += 1) {
+            const offerTools = tools.length > 0 && round < MAX_TOOL_ROUNDS;
+            const toolCalls = [];
+            const thinkingBefore = thinkingText;
+            const tokensBefore = tokenCount;
+            const thinkingTimeBefore = { ...thinkingTime };
+
+            const streamRound = () =>
+              ollama.chat(
+                {
+                  model,
+                  messages,
+                  options: toRequestOptions(options),
+                  ...(offerTools && { tools }),
+                  ...(chat.format && { format: chat.format }),
+                  ...keepAliveParam(chat.keepAlive),
+                  ...(chat.think != null && { think: chat.think }),
+                },
+                {
+                  signal: controller.signal,
+                  onEvent: (event) => {
+                    if (event.type === "thinking") {
+                      thinkingTime.startedAt ??= Date.now();
+                      thinkingText += event.text;
+                      tokenCount += 1;
+                      writeStreamText(thinkingId, thinkingText);
+                      writeStreamProgress(thinkingId, { ...thinkingTime });
+                    } else if (event.type === "token") {
+                      if (thinkingTime.startedAt && !thinkingTime.endedAt) {
+                        thinkingTime.endedAt = Date.now();
+                        writeStreamProgress(thinkingId, { ...thinkingTime });
+                      }
+                      aiText += event.text;
+                      tokenCount += 1; // Ollama streams one token per chunk
+                      writeStreamText(aiMessage.id, aiText);
+                    } else if (event.type === "tool_call") {
+                      toolCalls.push(event.call);
+                    } else if (event.type === "metrics") {
+                      // The final chunk carries the real timing numbers
+                      final.metrics = event.metrics;
                     }
-                  } catch (error) {
-                    console.error('Error parsing JSON:', error, 'Line:', line);
-                    // Continue processing even if one line fails
-                  }
-                }
 
-                // Update speed every 500ms to avoid UI spam
-                if (Date.now() - lastUpdateTime > 500) {
-                  const elapsedSeconds = (Date.now() - startTime) / 1000;
-                  tokensPerSecond = Math.round(tokenCount / elapsedSeconds);
-                  lastUpdateTime = Date.now();
-                  
-                  // Update state with current speed
-                  // set(state => ({
-                  //   ...state,
-                  //   tokenSpeed: tokensPerSecond
-                  // }));
-                  updateSpeed(tokensPerSecond)
-                }
+                    // Update speed every 500ms to avoid UI spam
+                    if (Date.now() - lastUpdateTime > 500) {
+                      const elapsedSeconds = (Date.now() - startTime) / 1000;
+                      lastUpdateTime = Date.now();
+                      updateSpeed(Math.round(tokenCount / elapsedSeconds));
+                    }
+                  },
+                },
+              );
+
+            // A dropped connection is retried after a pause; the round
+            // starts over, so what it had streamed is discarded and the
+            // failed attempt and the pause don't count towards the speed
+            for (let attempt = 0; ; attempt += 1) {
+              const attemptStart = Date.now();
+              try {
+                await streamRound();
+                break;
+              } catch (error) {
+                if (attempt >= RETRY_DELAYS.length || !isTransient(toErrorInfo(error))) throw error;
+                aiText = "";
+                thinkingText = thinkingBefore;
+                tokenCount = tokensBefore;
+                Object.assign(thinkingTime, thinkingTimeBefore);
+                toolCalls.length = 0;
+                writeStreamText(thinkingId, thinkingText);
+                writeStreamProgress(thinkingId, { ...thinkingTime });
+                writeStreamText(
+                  aiMessage.id,
+                  `*Connection lost, retrying in ${RETRY_DELAYS[attempt] / 1000}s…*`,
+                );
+                await wait(RETRY_DELAYS[attempt], controller.signal);
+                startTime += Date.now() - attemptStart;
               }
             }
 
-            // Process any remaining data in buffer
-            if (buffer.trim()) {
+            if (!toolCalls.length) break;
+
+            // Text streamed so far belongs to this round; the calls show up
+            // on the message while they run
+            const calls = toolCalls.map(({ function: fn }) => ({
+              name: fn.name,
+              arguments: fn.arguments ?? {},
+            }));
+            toolRounds.push({ content: aiText, calls });
+            const showRounds = () =>
+              set((state) => ({
+                chats: updateMessage(state.chats, chatId, aiMessage.id, {
+                  toolRounds: toolRounds.map((r) => ({ ...r, calls: [...r.calls] })),
+                }),
+              }));
+            showRounds();
+            aiText = "";
+            writeStreamText(aiMessage.id, "");
+
+            for (const [index, call] of calls.entries()) {
+              if (controller.signal.aborted) throw new DOMException("Aborted", "AbortError");
               try {
-                const parsed = JSON.parse(buffer);
-                if (parsed.message?.content) {
-                  aiText += parsed.message.content;
-                  // Update state with final content
-                }
+                calls[index] = { ...call, result: await runTool(call.name, call.arguments) };
               } catch (error) {
-                console.error('Error parsing final JSON:', error, 'Data:', buffer);
+                calls[index] = { ...call, error: error.message };
               }
+              showRounds();
             }
 
-          } catch (error) {
-          set((state) => ({
-            chats: state.chats.map((chat) =>
-              chat.id === chatId
-                ? {
-                    ...chat,
-                    messages: chat.messages.map((msg) =>
-                      msg.timestamp === aiMessage.timestamp
-                        ? {
-                            ...msg,
-                            text: `Error: ${error.message}`,
-                            isStreaming: false,
-                          }
-                        : msg,
-                    ),
-                  }
-                : chat,
-            ),
-          }));
+            messages.push(...toolRoundMessages(toolRounds[round]));
+          }
+        } catch (error) {
+          if (error.name === "AbortError") {
+            // Aborted by the user: keep whatever streamed in and mark it stopped
+            final.stopped = true;
+          } else {
+            failed = true;
+            final.error = toErrorInfo(error);
+          }
         } finally {
+          if (abortControllers.get(chatId) === controller) {
+            abortControllers.delete(chatId);
+          }
           // set(state => ({
           //   ...state,
           //   tokenSpeed: 0
@@ -222,36 +649,684 @@ export const useChatStore = create(
           updateSpeed(0)
         }
 
+        // Calls a stop or failure kept from running are saved as stopped
+        if (toolRounds.length) final.toolRounds = settleToolRounds(toolRounds);
+
+        if (thinkingText.trim()) {
+          final.thinking = thinkingText.trim();
+          final.thinkingDuration = (thinkingTime.endedAt ?? Date.now()) - thinkingTime.startedAt;
+        }
+
+        // Which of the retrieved chunks the answer actually cites
+        if (final.sources) {
+          const answer = [...(final.toolRounds ?? []).map((r) => r.content), aiText].join("\n");
+          final.sources = markCitedSources(final.sources, answer);
+        }
+
+        // Structured replies are checked against the schema once complete
+        // (a schema the validator can't handle must not keep the reply from
+        // being finalized)
+        if (chat.format && !failed && !final.stopped) {
+          try {
+            final.formatErrors = checkReply(chat.format, aiText);
+          } catch (error) {
+            final.formatErrors = [{ path: "(root)", message: `can't be checked: ${error.message}`, schema: true }];
+          }
+        }
+        const attempt = retry?.attempt ?? 0;
+        const retrying =
+          isRetryable(final.formatErrors ?? []) && chat.formatAutoRetry !== false && attempt < MAX_FORMAT_RETRIES;
+
         // Finalize the AI message
         set((state) => ({
-          chats: state.chats.map((chat) =>
-            chat.id === chatId
+          chats: updateMessage(state.chats, chatId, aiMessage.id, {
+            ...final,
+            text: aiText,
+            isStreaming: false,
+          }),
+          ...(final.metrics && {
+            performanceLog: [
+              ...state.performanceLog,
+              { model, at: new Date().toISOString(), ...final.metrics },
+            ].slice(-PERFORMANCE_LOG_LIMIT),
+          }),
+        }));
+        clearStreamText(aiMessage.id);
+        clearStreamText(thinkingId);
+        chatStorage.flush();
+
+        if (retrying) {
+          await get().generateReply(chatId, parentId, {
+            retry: { attempt: attempt + 1, text: aiText, errors: final.formatErrors },
+            overrides,
+          });
+          return;
+        }
+
+        if (!failed && !final.stopped && get().chats.find((c) => c.id === chatId)?.autoTitle) {
+          get().generateTitle(chatId).catch((error) => {
+            console.error("Error generating title:", error);
+          });
+        }
+      },
+
+      // Pick the part of `history` that fits the context window of the
+      // reply's `model` and `options` (the chat's unless overridden),
+      // following the chat's context strategy. Nothing is left out unless a
+      // `num_ctx` is set, since the window Ollama uses is unknown otherwise.
+      // `onSummarize` is called
+      // before a (slow) summarization request, which `signal` can abort. When
+      // summarizing fails the oldest messages are dropped instead, and the
+      // failure is returned as `summaryError`.
+      prepareContext: async (chatId, history, { model, options, signal, onSummarize } = {}) => {
+        const chat = get().chats.find((c) => c.id === chatId);
+        const strategy = chat.contextStrategy ?? DEFAULT_CONTEXT_STRATEGY;
+        if (strategy === "none") return { messages: history, summary: null };
+
+        model ??= chat.model;
+        options ??= chat.options;
+        const info = await get().loadModelInfo(model).catch(() => null);
+        const limit = getKnownContextLimit(options, info);
+        if (!limit) return { messages: history, summary: null };
+        const budget = historyBudget(limit, chat.systemPrompt);
+
+        if (strategy === "window") return { messages: fitWindow(history, budget), summary: null };
+        if (strategy === "pinned") return { messages: fitPinned(history, budget), summary: null };
+
+        // Pick up after the newest message an earlier summary covers
+        const summaries = chat.summaries ?? {};
+        const coveredIndex = history.findLastIndex((m) => summaries[m.id]);
+        let summary = coveredIndex >= 0 ? summaries[history[coveredIndex].id] : null;
+        const pending = history.slice(coveredIndex + 1);
+        if (sumTokens(pending) + estimateTextTokens(summary) <= budget) {
+          return { messages: pending, summary };
+        }
+
+        // Fold all but the newest half-budget of messages into the summary,
+        // a budget-sized chunk at a time
+        const kept = fitWindow(pending, Math.floor(budget / 2));
+        const folded = pending.slice(0, pending.length - kept.length);
+        onSummarize?.();
+        try {
+          for (let i = 0; i < folded.length; ) {
+            let used = estimateTextTokens(summary);
+            let j = i;
+            while (j < folded.length && (j === i || used + estimateTokens(folded[j]) <= budget)) {
+              used += estimateTokens(folded[j]);
+              j += 1;
+            }
+            summary = await get().summarize({ ...chat, model, options }, summary, folded.slice(i, j), { signal });
+            i = j;
+          }
+        } catch (error) {
+          if (error.name === "AbortError") throw error;
+          return { messages: fitWindow(history, budget), summary: null, summaryError: toErrorInfo(error) };
+        }
+
+        const coveredId = folded[folded.length - 1].id;
+        set((state) => ({
+          chats: updateChat(state.chats, chatId, (c) => ({
+            ...c,
+            summaries: { ...c.summaries, [coveredId]: summary },
+          })),
+        }));
+        return { messages: kept, summary };
+      },
+
+      // Condense messages (and the summary before them) with the chat's model
+      summarize: async (chat, previousSummary, messages, { signal } = {}) => {
+        const { response } = await ollama.generate(
+          {
+            model: chat.model,
+            prompt: buildSummaryPrompt(previousSummary, messages),
+            options: toRequestOptions(chat.options),
+            ...keepAliveParam(chat.keepAlive),
+          },
+          { signal },
+        );
+        return response.replace(/<think>[\s\S]*?<\/think>/g, "").trim();
+      },
+
+      // Pinned messages are always sent under the "pinned" context strategy
+      togglePin: (chatId, messageId) => {
+        set((state) => ({
+          chats: updateChat(state.chats, chatId, (chat) => ({
+            ...chat,
+            messages: chat.messages.map((msg) =>
+              msg.id === messageId ? { ...msg, pinned: !msg.pinned } : msg,
+            ),
+          })),
+        }));
+      },
+
+      // Ask the model for a short title based on the start of the chat
+      generateTitle: async (chatId) => {
+        const chat = get().chats.find((c) => c.id === chatId);
+        if (!chat) throw new Error("Chat not found");
+
+        const messages = getActivePath(chat).filter((m) => m.text && !m.isStreaming);
+        if (!messages.length) return;
+
+        const { response } = await ollama.generate({
+          model: chat.model,
+          prompt: buildTitlePrompt(messages),
+          ...keepAliveParam(chat.keepAlive),
+        });
+
+        const title = cleanTitle(response ?? "");
+        if (!title) return;
+
+        set((state) => ({
+          chats: updateChat(state.chats, chatId, (c) => ({ ...c, title, autoTitle: false })),
+        }));
+      },
+
+      // A title set by hand is never replaced automatically
+      renameChat: (chatId, title) => {
+        set((state) => ({
+          chats: updateChat(state.chats, chatId, (chat) => ({ ...chat, title, autoTitle: false })),
+        }));
+      },
+
+      // Produce another version of an AI reply as a sibling branch
+      regenerateMessage: async (chatId, messageId) => {
+        const chat = get().chats.find((c) => c.id === chatId);
+        const msg = chat?.messages.find((m) => m.id === messageId);
+        if (!msg || msg.sender !== "ai") return;
+
+        await get().generateReply(chatId, msg.parentId);
+      },
+
+      // Ask again for a reply that did not match the chat's schema, telling
+      // the model what was wrong
+      retryFormat: async (chatId, messageId) => {
+        const chat = get().chats.find((c) => c.id === chatId);
+        const msg = chat?.messages.find((m) => m.id === messageId);
+        if (!msg?.formatErrors?.length) return;
+
+        await get().generateReply(chatId, msg.parentId, {
+          retry: { attempt: 0, text: msg.text, errors: msg.formatErrors },
+        });
+      },
+
+      // Resend an edited user prompt as a sibling of the original
+      editMessage: async (chatId, messageId, messageText) => {
+        const chat = get().chats.find((c) => c.id === chatId);
+        const msg = chat?.messages.find((m) => m.id === messageId);
+        if (!msg || msg.sender !== "user") return;
+
+        const edited = {
+          id: uuidv4(),
+          parentId: msg.parentId,
+          text: messageText,
+          sender: "user",
+          createdAt: new Date().toISOString(),
+          ...(msg.images && { images: msg.images }),
+        };
+
+        set((state) => ({
+          chats: appendMessage(state.chats, chatId, edited),
+        }));
+
+        await get().generateReply(chatId, edited.id);
+      },
+
+      // Select every branch leading to a message so it shows in the thread
+      revealMessage: (chatId, messageId) => {
+        set((state) => ({
+          chats: updateChat(state.chats, chatId, (chat) =>
+            getPathTo(chat, messageId).reduce(
+              (selected, msg) => selectBranch(selected, msg.id),
+              chat,
+            ),
+          ),
+        }));
+      },
+
+      // Show a different version of a message (and the branch below it)
+      switchBranch: (chatId, messageId) => {
+        set((state) => ({
+          chats: updateChat(state.chats, chatId, (chat) => selectBranch(chat, messageId)),
+        }));
+      },
+
+      // Start a new chat holding the history up to and including `messageId`
+      forkChat: (chatId, messageId) => {
+        const chat = get().chats.find((c) => c.id === chatId);
+        if (!chat) throw new Error("Chat not found");
+
+        const messages = linkLinearMessages(
+          getPathTo(chat, messageId).map(({ parentId, isStreaming, ...msg }) => ({
+            ...msg,
+            id: uuidv4(),
+          })),
+        );
+
+        const forkId = get().createChat(`${chat.title} (fork)`, chat.model, messages);
+        get().updateChatSettings(forkId, {
+          systemPrompt: chat.systemPrompt,
+          options: chat.options,
+          contextStrategy: chat.contextStrategy,
+          tools: chat.tools,
+          format: chat.format,
+          formatAutoRetry: chat.formatAutoRetry,
+          documents: chat.documents,
+          embeddingModel: chat.embeddingModel,
+          retrievalTopK: chat.retrievalTopK,
+          keepAlive: chat.keepAlive,
+          think: chat.think,
+          folderId: chat.folderId,
+          tags: chat.tags,
+        });
+        return forkId;
+      },
+
+      // Save chat-level settings: model for the next turns, system prompt,
+      // generation options, context strategy, tools, structured output,
+      // retrieval, keep-alive, thinking
+      updateChatSettings: (chatId, settings) => {
+        set((state) => ({
+          chats: updateChat(state.chats, chatId, (chat) => ({
+            ...chat,
+            ...settings,
+          })),
+        }));
+      },
+
+      // Store the given settings under a name for reuse across chats
+      savePreset: (name, { systemPrompt, options }) => {
+        const preset = { id: uuidv4(), name, systemPrompt, options };
+        set((state) => ({ presets: [...state.presets, preset] }));
+        return preset.id;
+      },
+
+      deletePreset: (presetId) => {
+        set((state) => ({
+          presets: state.presets.filter((preset) => preset.id !== presetId),
+        }));
+      },
+
+      // Approved folders can only be added by the user picking one in a
+      // native dialog; the webview just mirrors the list
+      loadApprovedFolders: async () => {
+        set({ approvedFolders: await invoke("approved_folders") });
+      },
+
+      pickApprovedFolder: async () => {
+        set({ approvedFolders: await invoke("pick_approved_folder") });
+      },
+
+      revokeFolder: async (folder) => {
+        set({ approvedFolders: await invoke("revoke_approved_folder", { folder }) });
+      },
+
+      // Read, chunk and embed files for retrieval in a chat. Progress and
+      // failures show up in `indexing[chatId]`.
+      attachDocuments: async (chatId, files) => {
+        const chat = get().chats.find((c) => c.id === chatId);
+        if (!chat) throw new Error("Chat not found");
+        const embeddingModel = chat.embeddingModel ?? DEFAULT_EMBEDDING_MODEL;
+
+        const setIndexing = (status) =>
+          set((state) => ({ indexing: { ...state.indexing, [chatId]: status } }));
+
+        for (const file of files) {
+          try {
+            setIndexing({ name: file.name, done: 0, total: 0 });
+            const texts = chunkText(await readDocumentText(file));
+            if (!texts.length) throw new Error("no text found");
+
+            const vectors = await embedAll(embeddingModel, texts, (done) =>
+              setIndexing({ name: file.name, done, total: texts.length }),
+            );
+
+            const document = {
+              id: uuidv4(),
+              name: file.name,
+              size: file.size,
+              embeddingModel,
+              chunks: texts.map((text, i) => ({ id: uuidv4(), text, vector: vectors[i] })),
+              addedAt: new Date().toISOString(),
+            };
+            set((state) => ({
+              chats: updateChat(state.chats, chatId, (c) => ({
+                ...c,
+                documents: [...(c.documents ?? []), document],
+              })),
+            }));
+          } catch (error) {
+            setIndexing({ name: file.name, error: `${file.name}: ${error.message}` });
+            return;
+          }
+        }
+        set((state) => ({ indexing: omit(state.indexing, chatId) }));
+      },
+
+      // Embed the documents of a chat again, after its embedding model changed
+      reindexDocuments: async (chatId) => {
+        const chat = get().chats.find((c) => c.id === chatId);
+        const embeddingModel = chat?.embeddingModel ?? DEFAULT_EMBEDDING_MODEL;
+        const stale = (chat?.documents ?? []).filter((doc) => doc.embeddingModel !== embeddingModel);
+
+        const setIndexing = (status) =>
+          set((state) => ({ indexing: { ...state.indexing, [chatId]: status } }));
+
+        for (const doc of stale) {
+          try {
+            const vectors = await embedAll(
+              embeddingModel,
+              doc.chunks.map((chunk) => chunk.text),
+              (done) => setIndexing({ name: doc.name, done, total: doc.chunks.length }),
+            );
+            set((state) => ({
+              chats: updateChat(state.chats, chatId, (c) => ({
+                ...c,
+                documents: c.documents.map((d) =>
+                  d.id === doc.id
+                    ? { ...d, embeddingModel, chunks: d.chunks.map((chunk, i) => ({ ...chunk, vector: vectors[i] })) }
+                    : d,
+                ),
+              })),
+            }));
+          } catch (error) {
+            setIndexing({ name: doc.name, error: `${doc.name}: ${error.message}` });
+            return;
+          }
+        }
+        set((state) => ({ indexing: omit(state.indexing, chatId) }));
+      },
+
+      removeDocument: (chatId, documentId) => {
+        set((state) => ({
+          chats: updateChat(state.chats, chatId, (chat) => ({
+            ...chat,
+            documents: chat.documents.filter((doc) => doc.id !== documentId),
+          })),
+        }));
+      },
+
+      dismissIndexingError: (chatId) => {
+        set((state) => ({ indexing: omit(state.indexing, chatId) }));
+      },
+
+      // Start an arena session comparing `models` (2-4)
+      createComparison: (models) => {
+        const comparison = {
+          id: uuidv4(),
+          title: "New comparison",
+          models,
+          turns: [],
+          // Whether each prompt continues the columns' conversations or is
+          // sent on its own
+          continueConversation: true,
+          createdAt: new Date().toISOString(),
+        };
+        set((state) => ({ comparisons: [comparison, ...state.comparisons] }));
+        return comparison.id;
+      },
+
+      // Stream `prompt` to every model of a comparison at once. Unless the
+      // comparison sends prompts on their own, each model sees its own
+      // earlier answers, so every column is a conversation.
+      sendComparison: async (comparisonId, prompt) => {
+        const comparison = get().comparisons.find((c) => c.id === comparisonId);
+        if (!comparison) throw new Error("Comparison not found");
+        const standalone = comparison.continueConversation === false;
+        const history = standalone ? [] : comparison.turns;
+
+        const turn = {
+          id: uuidv4(),
+          prompt,
+          ...(standalone && comparison.turns.length > 0 && { standalone: true }),
+          createdAt: new Date().toISOString(),
+          replies: Object.fromEntries(
+            comparison.models.map((model) => [model, { text: "", isStreaming: true }]),
+          ),
+          preferred: null,
+        };
+        set((state) => ({
+          comparisons: state.comparisons.map((c) =>
+            c.id === comparisonId
               ? {
-                  ...chat,
-                  messages: chat.messages.map((msg) =>
-                    msg.timestamp === aiMessage.timestamp
-                      ? { ...msg, isStreaming: false }
-                      : msg,
-                  ),
+                  ...c,
+                  title: c.turns.length ? c.title : prompt.slice(0, 60),
+                  turns: [...c.turns, turn],
                 }
-              : chat,
+              : c,
           ),
         }));
+
+        const controller = new AbortController();
+        abortControllers.set(comparisonId, controller);
+
+        const streamReply = async (model) => {
+          const streamId = comparisonStreamId(turn.id, model);
+          const messages = [
+            ...history.flatMap((previous) => [
+              { role: "user", content: previous.prompt },
+              ...(previous.replies[model]?.error
+                ? []
+                : [{ role: "assistant", content: previous.replies[model]?.text ?? "" }]),
+            ]),
+            { role: "user", content: prompt },
+          ];
+          const startedAt = Date.now();
+          let text = "";
+          let tokens = 0;
+          const final = {};
+
+          try {
+            await ollama.chat(
+              { model, messages },
+              {
+                signal: controller.signal,
+                onEvent: (event) => {
+                  if (event.type === "token") {
+                    text += event.text;
+                    tokens += 1;
+                    writeStreamText(streamId, text);
+                    writeStreamProgress(streamId, { tokens, startedAt });
+                  } else if (event.type === "metrics") {
+                    final.metrics = event.metrics;
+                  }
+                },
+              },
+            );
+          } catch (error) {
+            if (error.name === "AbortError") final.stopped = true;
+            else final.error = toErrorInfo(error);
+          }
+
+          set((state) => ({
+            comparisons: updateComparisonReply(state.comparisons, comparisonId, turn.id, model, {
+              ...final,
+              text,
+              elapsed: Date.now() - startedAt,
+              isStreaming: false,
+            }),
+            ...(final.metrics && {
+              performanceLog: [
+                ...state.performanceLog,
+                { model, at: new Date().toISOString(), ...final.metrics },
+              ].slice(-PERFORMANCE_LOG_LIMIT),
+            }),
+          }));
+          clearStreamText(streamId);
+        };
+
+        try {
+          await Promise.all(comparison.models.map(streamReply));
+        } finally {
+          if (abortControllers.get(comparisonId) === controller) {
+            abortControllers.delete(comparisonId);
+          }
+          chatStorage.flush();
+        }
       },
 
-      addMessage: (chatId, message) => {
+      // Mark the answer `model` gave in a turn as the better one; choosing
+      // it again clears the vote
+      preferComparisonReply: (comparisonId, turnId, model) => {
         set((state) => ({
-          chats: state.chats.map((chat) =>
-            chat.id === chatId
+          comparisons: state.comparisons.map((comparison) =>
+            comparison.id === comparisonId
               ? {
-                  ...chat,
-                  messages: [...chat.messages, message],
+                  ...comparison,
+                  turns: comparison.turns.map((turn) =>
+                    turn.id === turnId
+                      ? { ...turn, preferred: turn.preferred === model ? null : model }
+                      : turn,
+                  ),
                 }
-              : chat,
+              : comparison,
+          ),
+        }));
+      },
+
+      setComparisonContinues: (comparisonId, continueConversation) => {
+        set((state) => ({
+          comparisons: state.comparisons.map((c) =>
+            c.id === comparisonId ? { ...c, continueConversation } : c,
           ),
         }));
       },
 
+      deleteComparison: (comparisonId) => {
+        abortControllers.get(comparisonId)?.abort();
+        set((state) => ({
+          comparisons: state.comparisons.filter((c) => c.id !== comparisonId),
+        }));
+      },
+
+      // Add a prompt to the library, or update it when `prompt.id` exists
+      savePrompt: (prompt) => {
+        const saved = { ...prompt, id: prompt.id ?? uuidv4() };
+        set((state) => ({
+          prompts: state.prompts.some((p) => p.id === saved.id)
+            ? state.prompts.map((p) => (p.id === saved.id ? saved : p))
+            : [...state.prompts, saved],
+        }));
+        return saved.id;
+      },
+
+      deletePrompt: (promptId) => {
+        set((state) => ({
+          prompts: state.prompts.filter((prompt) => prompt.id !== promptId),
+        }));
+      },
+
+      // Server settings: `ollamaAutoStart`, `ollamaAutoRestart`, `preloadOnOpen`
+      updateServerSettings: (settings) => {
+        set(settings);
+      },
+
+      setShortcut: (actionId, combo) => {
+        set((state) => ({ shortcuts: { ...state.shortcuts, [actionId]: combo } }));
+      },
+
+      resetShortcut: (actionId) => {
+        set((state) => ({ shortcuts: omit(state.shortcuts, actionId) }));
+      },
+
+      clearPerformanceLog: () => {
+        set({ performanceLog: [] });
+      },
+
+      // Abort the in-flight generation for a chat (defaults to the current
+      // one) or a comparison
+      stopGeneration: (chatId = get().currentChatId) => {
+        abortControllers.get(chatId)?.abort();
+      },
+
+      addMessage: (chatId, message) => {
+        const chat = get().chats.find((c) => c.id === chatId);
+        if (!chat) return;
+
+        set((state) => ({
+          chats: appendMessage(state.chats, chatId, {
+            id: uuidv4(),
+            parentId: getLeaf(chat)?.id ?? null,
+            createdAt: new Date().toISOString(),
+            ...message,
+          }),
+        }));
+      },
+
+      // Add chats from an import. Chats whose id already exists are skipped,
+      // replaced or added as copies depending on `onConflict`.
+      importChats: (imported, onConflict = "skip") => {
+        const existing = new Set(get().chats.map((chat) => chat.id));
+        const added = [];
+        const replacements = new Map();
+        let skipped = 0;
+
+        for (const chat of imported) {
+          if (!existing.has(chat.id)) {
+            added.push(chat);
+          } else if (onConflict === "replace") {
+            replacements.set(chat.id, chat);
+          } else if (onConflict === "copy") {
+            added.push({ ...chat, id: uuidv4(), title: `${chat.title} (imported)` });
+          } else {
+            skipped += 1;
+          }
+        }
+
+        set((state) => ({
+          chats: [
+            ...added,
+            ...state.chats.map((chat) => replacements.get(chat.id) ?? chat),
+          ],
+        }));
+
+        return { added: added.length, replaced: replacements.size, skipped };
+      },
+
+      // Pinned chats stay at the top of the sidebar
+      toggleChatPinned: (chatId) => {
+        set((state) => ({
+          chats: updateChat(state.chats, chatId, (chat) => ({ ...chat, pinned: !chat.pinned })),
+        }));
+      },
+
+      setChatTags: (chatId, tags) => {
+        set((state) => ({
+          chats: updateChat(state.chats, chatId, (chat) => ({ ...chat, tags })),
+        }));
+      },
+
+      // `folderId` null takes the chat out of its folder
+      moveChatToFolder: (chatId, folderId) => {
+        set((state) => ({
+          chats: updateChat(state.chats, chatId, (chat) => ({ ...chat, folderId })),
+        }));
+      },
+
+      createFolder: (name) => {
+        const folder = { id: uuidv4(), name, collapsed: false };
+        set((state) => ({ folders: [...state.folders, folder] }));
+        return folder.id;
+      },
+
+      // Shallow-merge `patch` ({ name, collapsed }) into a folder
+      updateFolder: (folderId, patch) => {
+        set((state) => ({
+          folders: state.folders.map((folder) => (folder.id === folderId ? { ...folder, ...patch } : folder)),
+        }));
+      },
+
+      // The folder's chats are kept, outside of any folder
+      deleteFolder: (folderId) => {
+        set((state) => ({
+          folders: state.folders.filter((folder) => folder.id !== folderId),
+          chats: state.chats.map((chat) => (chat.folderId === folderId ? { ...chat, folderId: null } : chat)),
+        }));
+      },
+
+      setChatSort: (chatSort) => {
+        set({ chatSort });
+      },
+
       deleteChat: (chatId) => {
         set((state) => ({
           chats: state.chats.filter((chat) => chat.id !== chatId),
@@ -263,10 +1338,29 @@ export const useChatStore = create(
       setCurrentChat: (chatId) => {
         set({ currentChatId: chatId });
       },
+
+      dismissStorageError: () => {
+        set({ storageError: null });
+      },
     }),
     {
       name: "chat-storage",
-      getStorage: () => localStorage,
+      storage: chatStorage,
+      // Runtime-only state that is rebuilt every run
+      partialize: ({ pulls, modelInfo, indexing, hydrated, storageError, apiError, approvedFolders, ...state }) =>
+        state,
+      version: STATE_VERSION,
+      migrate,
+      onRehydrateStorage: () => (state, error) => {
+        useChatStore.setState({
+          hydrated: true,
+          ...(state && {
+            chats: settleInterruptedReplies(state.chats),
+            comparisons: settleInterruptedComparisons(state.comparisons ?? []),
+          }),
+          ...(error && { storageError: `Saved chats could not be loaded: ${error.message}` }),
+        });
+      },
     },
   ),
 );
@@ -0,0 +1,52 @@
+import { create } from "zustand";
+
+// Text of replies that are still streaming, keyed by message id, and the live
+// token speed. Kept out of the chat store so tokens neither re-render every
+// chat subscriber nor get persisted; the final text is written to the chat
+// once the reply ends.
+export const useStreamStore = create(() => ({
+  texts: {},
+  // { tokens, startedAt } per streaming reply, for replies that show their
+  // own live speed (the arena columns), and { startedAt, endedAt } of a
+  // reply's thinking
+  progress: {},
+  tokenSpeed: 0,
+}));
+
+// Latest text and progress per message since the last flush
+const pendingTexts = new Map();
+const pendingProgress = new Map();
+let frame = null;
+
+const flush = () => {
+  frame = null;
+  const texts = Object.fromEntries(pendingTexts);
+  const progress = Object.fromEntries(pendingProgress);
+  pendingTexts.clear();
+  pendingProgress.clear();
+  useStreamStore.setState((state) => ({
+    texts: { ...state.texts, ...texts },
+    progress: { ...state.progress, ...progress },
+  }));
+};
+
+// Queue the text streamed so far; applied at most once per animation frame
+export function writeStreamText(messageId, text) {
+  pendingTexts.set(messageId, text);
+  frame ??= requestAnimationFrame(flush);
+}
+
+export function writeStreamProgress(messageId, progress) {
+  pendingProgress.set(messageId, progress);
+  frame ??= requestAnimationFrame(flush);
+}
+
+export function clearStreamText(messageId) {
+  pendingTexts.delete(messageId);
+  pendingProgress.delete(messageId);
+  useStreamStore.setState((state) => {
+    const { [messageId]: _, ...texts } = state.texts;
+    const { [messageId]: __, ...progress } = state.progress;
+    return { texts, progress };
+  });
+}
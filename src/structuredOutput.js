@@ -0,0 +1,216 @@
+// Structured output: a JSON schema sent to Ollama as `format`, and checking
+// the finished reply against it.
+//
+// The validator covers the parts of JSON Schema that describe the shape of
+// data (types, properties, items, enums, ranges, lengths, patterns,
+// combinators and local $refs), which is also what Ollama can enforce.
+
+// Schemas offered as starting points in the chat settings
+export const SCHEMA_EXAMPLES = [
+  {
+    name: "Classification",
+    schema: {
+      type: "object",
+      properties: {
+        label: { type: "string" },
+        confidence: { type: "number", minimum: 0, maximum: 1 },
+      },
+      required: ["label", "confidence"],
+    },
+  },
+  {
+    name: "Entity extraction",
+    schema: {
+      type: "object",
+      properties: {
+        entities: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              name: { type: "string" },
+              type: { type: "string", enum: ["person", "organization", "location", "other"] },
+            },
+            required: ["name", "type"],
+          },
+        },
+      },
+      required: ["entities"],
+    },
+  },
+  {
+    name: "Key facts",
+    schema: {
+      type: "object",
+      properties: {
+        summary: { type: "string" },
+        facts: { type: "array", items: { type: "string" }, minItems: 1 },
+      },
+      required: ["summary", "facts"],
+    },
+  },
+];
+
+// Replies to retry automatically before leaving an invalid one as is
+export const MAX_FORMAT_RETRIES = 2;
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+};
+
+const matchesType = (value, type) =>
+  type === "integer"
+    ? Number.isInteger(value)
+    : type === "number"
+      ? typeof value === "number"
+      : typeOf(value) === type;
+
+const pointer = (path) => (path.length ? path.join(".") : "(root)");
+
+// Compile a schema `pattern`. Unicode mode is tried first, but it rejects
+// escapes like `\-` that schemas commonly use, so plain mode is the
+// fallback. null when neither compiles.
+export function compilePattern(pattern) {
+  for (const flags of ["u", ""]) {
+    try {
+      return new RegExp(pattern, flags);
+    } catch {
+      // Try the next mode
+    }
+  }
+  return null;
+}
+
+// The `pattern`s anywhere in `schema` that don't compile
+export function invalidPatterns(schema) {
+  if (typeof schema !== "object" || schema === null) return [];
+  const own = typeof schema.pattern === "string" && !compilePattern(schema.pattern) ? [schema.pattern] : [];
+  return [...own, ...Object.values(schema).flatMap(invalidPatterns)];
+}
+
+// The schema a local `$ref` points to; undefined when there is none
+const resolveRef = (root, ref) => {
+  if (!ref.startsWith("#/")) return undefined;
+  return ref
+    .slice(2)
+    .split("/")
+    .reduce((node, key) => node?.[key.replace(/~1/g, "/").replace(/~0/g, "~")], root);
+};
+
+// Errors for `value` against `schema`, as { path, message }; none means valid.
+// Problems with the schema itself are flagged `schema: true`, since no reply
+// can fix them.
+export function validate(schema, value, root = schema, path = []) {
+  if (schema === true || schema === undefined) return [];
+  if (schema === false) return [{ path: pointer(path), message: "is not allowed" }];
+  if (schema.$ref) {
+    const target = resolveRef(root, schema.$ref);
+    if (target === undefined) {
+      return [{ path: pointer(path), message: `can't be checked: unresolved $ref ${schema.$ref}`, schema: true }];
+    }
+    return validate(target, value, root, path);
+  }
+
+  const errors = [];
+  const fail = (message) => errors.push({ path: pointer(path), message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      fail(`should be ${types.join(" or ")}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+    fail(`should be one of ${schema.enum.map((option) => JSON.stringify(option)).join(", ")}`);
+  }
+  if ("const" in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    fail(`should be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`should have at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`should have at most ${schema.maxLength} characters`);
+    if (schema.pattern) {
+      const regex = compilePattern(schema.pattern);
+      if (!regex) {
+        errors.push({ path: pointer(path), message: `can't be checked: ${schema.pattern} is not a valid pattern`, schema: true });
+      } else if (!regex.test(value)) {
+        fail(`should match ${schema.pattern}`);
+      }
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`should be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`should be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail(`should be < ${schema.exclusiveMaximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`should have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`should have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, root, [...path, index])));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties ?? {};
+    for (const key of schema.required ?? []) {
+      if (!(key in value)) errors.push({ path: pointer([...path, key]), message: "is required" });
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (key in properties) {
+        errors.push(...validate(properties[key], item, root, [...path, key]));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: pointer([...path, key]), message: "is not allowed" });
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(...validate(schema.additionalProperties, item, root, [...path, key]));
+      }
+    }
+  }
+
+  for (const sub of schema.allOf ?? []) errors.push(...validate(sub, value, root, path));
+  if (schema.anyOf && !schema.anyOf.some((sub) => !validate(sub, value, root, path).length)) {
+    fail("should match at least one of the allowed shapes (anyOf)");
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((sub) => !validate(sub, value, root, path).length).length;
+    if (matches !== 1) fail(`should match exactly one of the allowed shapes (oneOf), matched ${matches}`);
+  }
+
+  return errors;
+}
+
+// Parse a reply as JSON, tolerating a Markdown code fence around it
+export function parseReply(text) {
+  const fenced = text.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  return JSON.parse(fenced ? fenced[1] : text);
+}
+
+// Check a finished reply: the errors found, with a parse failure reported
+// as a single error
+export function checkReply(schema, text) {
+  let value;
+  try {
+    value = parseReply(text);
+  } catch (error) {
+    return [{ path: "(root)", message: `is not valid JSON: ${error.message}` }];
+  }
+  return validate(schema, value);
+}
+
+// Whether asking the model again could fix these errors
+export const isRetryable = (errors) => errors.some((error) => !error.schema);
+
+// Instruction sent after a reply that did not match, asking for another try
+export const buildRetryPrompt = (errors) =>
+  [
+    "Your reply does not match the required JSON schema:",
+    ...errors.map(({ path, message }) => `- ${path} ${message}`),
+    "Reply again with only JSON that matches the schema.",
+  ].join("\n");
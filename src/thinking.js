@@ -0,0 +1,84 @@
+// Reasoning from models that think before answering. Older Ollama versions
+// (and models without native support) put it in the reply text between
+// <think> tags; these helpers split it off the answer.
+
+const OPEN = "<think>";
+const CLOSE = "</think>";
+
+// Length of the longest start of `tag` that `text` ends with: a tag that
+// may continue in the next chunk
+const partialTagLength = (text, tag) => {
+  for (let length = Math.min(tag.length - 1, text.length); length > 0; length--) {
+    if (text.endsWith(tag.slice(0, length))) return length;
+  }
+  return 0;
+};
+
+// Splits a streamed reply into thinking and answer, chunk by chunk. Only a
+// <think> block that opens the reply counts, so an answer that talks about
+// the tag is left alone. `push` returns the { thinking, content } of a chunk;
+// `flush` returns whatever was held back waiting for the rest of a tag.
+export function createThinkSplitter() {
+  let inside = false;
+  let answered = false;
+  let pending = "";
+
+  const emit = (parts, text) => {
+    if (inside) {
+      parts.thinking += text;
+    } else {
+      // Whitespace between the thinking and the answer is dropped
+      const content = answered ? text : text.trimStart();
+      if (content) answered = true;
+      parts.content += content;
+    }
+  };
+
+  return {
+    push(chunk) {
+      const parts = { thinking: "", content: "" };
+      let text = pending + chunk;
+      pending = "";
+
+      while (text) {
+        if (answered && !inside) {
+          parts.content += text;
+          break;
+        }
+        const tag = inside ? CLOSE : OPEN;
+        const at = text.indexOf(tag);
+        // Anything but whitespace before <think> means the answer has begun
+        if (!inside && at > 0 && text.slice(0, at).trim()) {
+          emit(parts, text);
+          break;
+        }
+        if (at >= 0) {
+          emit(parts, text.slice(0, at));
+          text = text.slice(at + tag.length);
+          inside = !inside;
+          continue;
+        }
+        const keep = partialTagLength(text, tag);
+        emit(parts, text.slice(0, text.length - keep));
+        pending = text.slice(text.length - keep);
+        break;
+      }
+      return parts;
+    },
+
+    flush() {
+      const parts = { thinking: "", content: "" };
+      emit(parts, pending);
+      pending = "";
+      return parts;
+    },
+  };
+}
+
+// Thinking and answer of a complete reply
+export function splitThinking(text) {
+  const splitter = createThinkSplitter();
+  const first = splitter.push(text);
+  const rest = splitter.flush();
+  return { thinking: first.thinking + rest.thinking, content: first.content + rest.content };
+}
@@ -0,0 +1,26 @@
+// Prompt and cleanup for model-generated chat titles
+
+const MAX_TITLE_LENGTH = 60;
+// Only the opening of a conversation is needed to name it
+const EXCERPT_LENGTH = 1000;
+
+export function buildTitlePrompt(messages) {
+  const excerpt = messages
+    .slice(0, 2)
+    .map((m) => `${m.sender === "user" ? "User" : "Assistant"}: ${m.text.slice(0, EXCERPT_LENGTH)}`)
+    .join("\n\n");
+
+  return `Write a short title (at most 6 words) for the conversation below. Reply with the title only, without quotes or punctuation at the end.\n\n${excerpt}`;
+}
+
+// Models like to wrap titles in quotes, prefix them or think out loud first
+export function cleanTitle(text) {
+  const title = text
+    .replace(/<think>[\s\S]*?<\/think>/g, "")
+    .trim()
+    .split("\n")[0]
+    .replace(/^(title:\s*)/i, "")
+    .replace(/^["'*#\s]+|["'*.\s]+$/g, "");
+
+  return title.length > MAX_TITLE_LENGTH ? `${title.slice(0, MAX_TITLE_LENGTH - 1)}…` : title;
+}
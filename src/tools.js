@@ -0,0 +1,96 @@
+import { invoke } from "@tauri-apps/api/core";
+
+import { evaluate } from "./calculator";
+
+// Tools the model can call through Ollama's `tools` parameter. Each tool has
+// a JSON-schema definition sent to the model and a handler that runs here.
+// Handlers get the parsed arguments and return a string or any
+// JSON-serializable value.
+const registry = new Map();
+
+export function registerTool({ name, description, parameters, handler }) {
+  registry.set(name, { name, description, parameters, handler });
+}
+
+export const listTools = () => [...registry.values()];
+
+// Definitions of the named tools in the shape /api/chat expects
+export function toolDefinitions(names) {
+  return names
+    .map((name) => registry.get(name))
+    .filter(Boolean)
+    .map(({ name, description, parameters }) => ({
+      type: "function",
+      function: { name, description, parameters },
+    }));
+}
+
+export async function runTool(name, args) {
+  const tool = registry.get(name);
+  if (!tool) throw new Error(`Unknown tool "${name}"`);
+  const result = await tool.handler(args ?? {});
+  return typeof result === "string" ? result : JSON.stringify(result);
+}
+
+// The Rust side resolves the path against the folders the user approved
+// there, and refuses anything that ends up outside of them
+async function invokeFileCommand(command, path) {
+  try {
+    return await invoke(command, { path });
+  } catch (error) {
+    throw new Error(String(error));
+  }
+}
+
+registerTool({
+  name: "calculator",
+  description: "Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, pi, e and sqrt, abs, round, floor, ceil, sin, cos, tan, asin, acos, atan, ln, log, exp.",
+  parameters: {
+    type: "object",
+    properties: {
+      expression: { type: "string", description: "The expression, e.g. (3 + 4) * 2 ^ 3" },
+    },
+    required: ["expression"],
+  },
+  handler: ({ expression }) => String(evaluate(String(expression))),
+});
+
+registerTool({
+  name: "current_datetime",
+  description: "Get the current local date, time and time zone.",
+  parameters: { type: "object", properties: {} },
+  handler: () => {
+    const now = new Date();
+    return {
+      iso: now.toISOString(),
+      local: now.toLocaleString(),
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    };
+  },
+});
+
+registerTool({
+  name: "list_files",
+  description: "List the files and folders in a directory the user has approved. Paths are relative to an approved folder, or absolute inside one.",
+  parameters: {
+    type: "object",
+    properties: {
+      path: { type: "string", description: "Directory to list; \".\" for the approved folder itself" },
+    },
+    required: ["path"],
+  },
+  handler: ({ path }) => invokeFileCommand("list_approved_dir", String(path || ".")),
+});
+
+registerTool({
+  name: "read_file",
+  description: "Read a text file from a folder the user has approved. Paths are relative to an approved folder, or absolute inside one.",
+  parameters: {
+    type: "object",
+    properties: {
+      path: { type: "string", description: "Path of the file to read" },
+    },
+    required: ["path"],
+  },
+  handler: ({ path }) => invokeFileCommand("read_approved_file", String(path)),
+});